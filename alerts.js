@@ -0,0 +1,442 @@
+// alerts.js - File-backed alert store and EOD alert evaluation engine
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { DATA_DIR, readJson, writeJson, withLock } = require('./store.js');
+const { toChartBars, evaluateCrossSuite, evaluateIndicatorLine, evaluateZone } = require('./signals.js');
+const { TYPES, LEGACY_SPECS, normalizeSpec, describe, lineKey, normalizeRule, describeRule } = require('./shared/indicators.js');
+const { normalizeChartSymbol } = require('./ratios.js');
+const { logger } = require('./logger.js');
+
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
+const HISTORY_FILE = path.join(DATA_DIR, 'alert-history.json');
+
+// Keep the history file bounded
+const MAX_HISTORY = 1000;
+
+// How many missed bars to catch up on if the sweep didn't run for a while
+const MAX_CATCHUP_BARS = 10;
+
+const LINE_TYPES = ['level', 'trendline', 'zone', 'indicator', 'ema', 'bb_upper', 'bb_lower'];
+// 'enter' is for zones: the close moves inside it from either side
+const DIRECTIONS = ['above', 'below', 'enter'];
+
+// Zone signals (see evaluateZone) that satisfy each alert direction
+const ZONE_SIGNALS = {
+  enter: ['enter'],
+  above: ['exit_up', 'cross_up'],
+  below: ['exit_down', 'cross_down']
+};
+
+// Signals (see evaluateRule) that fire an alert with each signal rule. above/below is the
+// side the close ends on: a touch from above that holds is a touch_above.
+const RULE_SIGNALS = {
+  cross: { above: ['cross_up'], below: ['cross_down'] },
+  touch: { above: ['touch_above'], below: ['touch_below'] },
+  near: { above: ['near_above'], below: ['near_below'] },
+  confirm: { above: ['confirmed_up'], below: ['confirmed_down'] },
+  retest: { above: ['retest_up'], below: ['retest_down'] }
+};
+
+// Alerts saved before the indicator framework target the fixed EMA(200) / BB(20,2)
+const LEGACY_INDICATOR_TARGETS = {
+  ema: { indicator: LEGACY_SPECS.ema200, line: 'value' },
+  bb_upper: { indicator: LEGACY_SPECS.bb20, line: 'upper' },
+  bb_lower: { indicator: LEGACY_SPECS.bb20, line: 'lower' }
+};
+
+// { indicator, line } an alert watches, or null for levels/trendlines
+function indicatorTarget(alert) {
+  if (alert.lineType === 'indicator') return { indicator: alert.indicator, line: alert.line };
+  return LEGACY_INDICATOR_TARGETS[alert.lineType] || null;
+}
+
+// Lines drawn below the candles (RSI, MACD, ATR, volume) are compared with a threshold
+// instead of the close
+const usesThreshold = indicator => TYPES[indicator.type].pane !== 'price';
+
+async function listAlerts() {
+  return readJson(ALERTS_FILE, []);
+}
+
+async function listHistory(limit = 100) {
+  const history = await readJson(HISTORY_FILE, []);
+  return history.slice(-limit).reverse(); // newest first
+}
+
+function validateAlertConfig(config) {
+  if (!config || typeof config !== 'object') throw new Error('Alert config must be an object');
+  if (!normalizeChartSymbol(config.symbol)) throw new Error(`Invalid symbol: ${config.symbol}`);
+  if (!LINE_TYPES.includes(config.lineType)) throw new Error(`Invalid lineType: ${config.lineType}`);
+  if (!DIRECTIONS.includes(config.direction)) throw new Error(`Invalid direction: ${config.direction}`);
+  if (config.lineType === 'level' && !Number.isFinite(+config.price)) {
+    throw new Error('Level alerts require a price');
+  }
+  if (config.lineType === 'trendline') {
+    const t = config.trendlineData;
+    if (!t || ![t.startTime, t.startPrice, t.endTime, t.endPrice].every(Number.isFinite)) {
+      throw new Error('Trendline alerts require trendlineData with start/end time and price');
+    }
+  }
+  if (config.lineType === 'zone') {
+    const z = config.zone;
+    if (!z || !Number.isFinite(z.top) || !Number.isFinite(z.bottom) || z.top < z.bottom) {
+      throw new Error('Zone alerts require a zone with top >= bottom');
+    }
+  } else if (config.direction === 'enter') {
+    throw new Error('Only zone alerts can use direction enter');
+  }
+  if (config.lineType === 'indicator') {
+    const spec = normalizeSpec(config.indicator);
+    if (!TYPES[spec.type].lines.some(l => l.key === config.line)) {
+      throw new Error(`Invalid line for ${spec.type}: ${config.line}`);
+    }
+    if (usesThreshold(spec) && !Number.isFinite(+config.price)) {
+      throw new Error(`${describe(spec)} alerts require a threshold price`);
+    }
+  }
+  if (config.rule != null) {
+    const rule = normalizeRule(config.rule);
+    const target = indicatorTarget({ ...config, indicator: config.lineType === 'indicator' ? normalizeSpec(config.indicator) : null });
+    if (rule.type !== 'cross' && (config.lineType === 'zone' || (target && usesThreshold(target.indicator)))) {
+      throw new Error(`The ${rule.type} rule needs a price line (level, trendline or price-pane indicator)`);
+    }
+  }
+}
+
+// A fresh, active alert for a validated config
+function buildAlert(config) {
+  validateAlertConfig(config);
+
+  const indicator = config.lineType === 'indicator' ? normalizeSpec(config.indicator) : null;
+  const zone = config.lineType === 'zone'
+    ? { top: config.zone.top, bottom: config.zone.bottom, from: Number.isFinite(config.zone.from) ? config.zone.from : null }
+    : null;
+  const rule = config.rule != null ? normalizeRule(config.rule) : null;
+  return {
+    id: crypto.randomUUID(),
+    symbol: normalizeChartSymbol(config.symbol),
+    timeframe: (config.timeframe || '1D').toUpperCase(),
+    lineType: config.lineType,
+    // Indicator alerts are keyed by their settings so re-adding the same line replaces it
+    lineId: indicator ? lineKey(indicator, config.line) : (config.lineId || null),
+    direction: config.direction,
+    // null is the plain close cross
+    rule: rule && rule.type !== 'cross' ? rule : null,
+    price: Number.isFinite(+config.price) ? +config.price : null,
+    trendlineData: config.lineType === 'trendline' ? config.trendlineData : null,
+    zone,
+    indicator,
+    line: indicator ? config.line : null,
+    label: indicator
+      ? `${describe(indicator)} ${config.line}`
+      : zone ? `zone ${zone.bottom.toFixed(2)}-${zone.top.toFixed(2)}` : null,
+    created: config.created || Date.now(),
+    status: 'active',
+    last_evaluated_bar: null,
+    last_triggered_bar: null,
+    last_triggered_at: null,
+    trigger_count: 0
+  };
+}
+
+// Same symbol, timeframe and line: a new alert replaces the old one (same rule as the front end)
+const sameTarget = (a, b) =>
+  a.symbol === b.symbol && a.timeframe === b.timeframe && a.lineType === b.lineType && a.lineId === b.lineId;
+
+async function createAlert(config) {
+  const alert = buildAlert(config);
+  return withLock(ALERTS_FILE, async () => {
+    const alerts = (await listAlerts()).filter(a => !sameTarget(a, alert));
+    alerts.push(alert);
+    await writeJson(ALERTS_FILE, alerts);
+    return alert;
+  });
+}
+
+// The part of an alert that describes what it watches (no ids or trigger state),
+// as written to workspace files
+function alertConfig(alert) {
+  const { symbol, timeframe, lineType, lineId, direction, rule, price, trendlineData, zone, indicator, line, created } = alert;
+  return { symbol, timeframe, lineType, lineId, direction, rule: rule ?? null, price, trendlineData, zone, indicator, line, created };
+}
+
+// Add a batch of alert configs (workspace import). With replace, the existing alerts of
+// `symbols` (every alert when null) are dropped first and imported alerts replace any on
+// the same target; a merge skips configs whose target already has an alert, keeping its
+// trigger state. All configs are validated before anything is written.
+async function importAlerts(configs, { replace = false, symbols = null } = {}) {
+  const built = configs.map(buildAlert);
+  return withLock(ALERTS_FILE, async () => {
+    const existing = await listAlerts();
+    const dropped = a => replace && (!symbols || symbols.includes(a.symbol));
+    const incoming = replace ? built : built.filter(n => !existing.some(a => sameTarget(a, n)));
+    const kept = existing.filter(a => !dropped(a) && !incoming.some(n => sameTarget(a, n)));
+    const alerts = [...kept, ...incoming];
+    await writeJson(ALERTS_FILE, alerts);
+    return alerts;
+  });
+}
+
+async function deleteAlert(id) {
+  return withLock(ALERTS_FILE, async () => {
+    const alerts = await listAlerts();
+    const remaining = alerts.filter(a => a.id !== id);
+    if (remaining.length === alerts.length) return false;
+    await writeJson(ALERTS_FILE, remaining);
+    return true;
+  });
+}
+
+// Acknowledge a triggered alert: re-arm it and mark its history entries as seen
+async function acknowledgeAlert(id) {
+  const alert = await withLock(ALERTS_FILE, async () => {
+    const alerts = await listAlerts();
+    const found = alerts.find(a => a.id === id);
+    if (!found) return null;
+    found.status = 'active';
+    found.acknowledged_at = new Date().toISOString();
+    await writeJson(ALERTS_FILE, alerts);
+    return found;
+  });
+  if (!alert) return null;
+
+  await withLock(HISTORY_FILE, async () => {
+    const history = await readJson(HISTORY_FILE, []);
+    let changed = false;
+    for (const h of history) {
+      if (h.alert_id === id && !h.acknowledged) {
+        h.acknowledged = true;
+        changed = true;
+      }
+    }
+    if (changed) await writeJson(HISTORY_FILE, history);
+  });
+
+  return alert;
+}
+
+// Keep level/trendline alerts in line with rescaled history after a split or dividend.
+// Indicator lines are recomputed from bars; only price-denominated thresholds
+// (MACD, ATR) need scaling.
+async function rescaleAlerts(symbol, factor, action) {
+  const sym = String(symbol).toUpperCase();
+  const scale = v => (Number.isFinite(v) ? +(v * factor).toFixed(6) : v);
+
+  return withLock(ALERTS_FILE, async () => {
+    const alerts = await listAlerts();
+    let changed = 0;
+    for (const a of alerts) {
+      if (a.symbol !== sym || (a.adjustments || []).includes(action.id)) continue;
+      if (a.lineType === 'level') a.price = scale(a.price);
+      if (a.lineType === 'indicator' && usesThreshold(a.indicator) && TYPES[a.indicator.type].units === 'price') {
+        a.price = scale(a.price);
+      }
+      if (a.lineType === 'zone' && a.zone) {
+        a.zone = { ...a.zone, top: scale(a.zone.top), bottom: scale(a.zone.bottom) };
+        a.label = `zone ${a.zone.bottom.toFixed(2)}-${a.zone.top.toFixed(2)}`;
+      }
+      if (a.lineType === 'trendline' && a.trendlineData) {
+        a.trendlineData = {
+          ...a.trendlineData,
+          startPrice: scale(a.trendlineData.startPrice),
+          endPrice: scale(a.trendlineData.endPrice)
+        };
+      }
+      a.adjustments = [...(a.adjustments || []), action.id];
+      changed++;
+    }
+    if (changed) {
+      await writeJson(ALERTS_FILE, alerts);
+      logger.info('alerts_rescaled', `📐 Rescaled ${changed} ${sym} alerts x${factor.toFixed(6)} (${action.id})`,
+                  { symbol: sym, alerts: changed, factor, action: action.id });
+    }
+    return changed;
+  });
+}
+
+// Signal and line price of a level, trendline or indicator alert on the last bar, or null
+function lineSignal(alert, bars) {
+  const target = indicatorTarget(alert);
+  if (target) {
+    const threshold = usesThreshold(target.indicator) ? alert.price : null;
+    const r = evaluateIndicatorLine(bars, target.indicator, target.line, { threshold, rule: alert.rule });
+    return r && { signal: r.dir, linePrice: threshold ?? r.value };
+  }
+  const line = { id: alert.lineId, rule: alert.rule };
+  const levels = alert.lineType === 'level' ? [{ ...line, price: alert.price }] : [];
+  const trends = alert.lineType === 'trendline' ? [{ ...line, ...alert.trendlineData }] : [];
+  const res = evaluateCrossSuite(bars, levels, trends);
+  const hit = alert.lineType === 'level' ? res.level[0] : res.trend[0];
+  return hit && { signal: hit.dir, linePrice: hit.price };
+}
+
+function evaluateAlertOnBars(alert, bars) {
+  if (alert.lineType === 'zone') {
+    const r = evaluateZone(bars, { id: alert.lineId, ...alert.zone, from: alert.zone.from ?? -Infinity });
+    if (!r || !ZONE_SIGNALS[alert.direction].includes(r.dir)) return null;
+    // The edge that was crossed: entering from above crosses the top
+    const fromAbove = bars[bars.length - 2].close > r.top;
+    const edge = r.dir === 'enter' ? (fromAbove ? r.top : r.bottom) : r.dir.endsWith('up') ? r.top : r.bottom;
+    return { signal: r.dir, linePrice: edge };
+  }
+  const type = alert.rule?.type || 'cross';
+  const match = lineSignal(alert, bars);
+  if (!match || !RULE_SIGNALS[type][alert.direction].includes(match.signal)) return null;
+  // Proximity fires when price comes near the line, not on every bar it stays there
+  if (type === 'near' && bars.length > 2) {
+    const before = lineSignal(alert, bars.slice(0, -1));
+    if (before && before.signal === match.signal) return null;
+  }
+  return match;
+}
+
+// 'close above BB(20,2) lower' / 'RSI(14) value above 70' / 'close above level (2 closes)'
+// for logs
+function describeAlertTarget(alert) {
+  const target = indicatorTarget(alert);
+  if (target && usesThreshold(target.indicator)) return `${alert.label} ${alert.direction} ${alert.price}`;
+  if (alert.direction === 'enter') return `close enters ${alert.label}`;
+  const rule = alert.rule ? ` (${describeRule(alert.rule)})` : '';
+  return `close ${alert.direction} ${alert.label || alert.lineType}${rule}`;
+}
+
+async function deliverWebhook(payload) {
+  const url = process.env.ALERT_WEBHOOK_URL;
+  if (!url) return { status: 'skipped' };
+  try {
+    await axios.post(url, payload, { timeout: 10000 });
+    return { status: 'sent', at: new Date().toISOString() };
+  } catch (error) {
+    return { status: 'failed', error: error.message, at: new Date().toISOString() };
+  }
+}
+
+// Run every stored alert against the cached bars for its symbol/timeframe.
+// getBars(symbol, timeframe) must resolve to cached bars ({ time, open, high, low, close }).
+async function evaluateAlerts(getBars) {
+  const startedAt = new Date().toISOString();
+  const alerts = await listAlerts();
+  if (!alerts.length) return { evaluated: 0, triggered: [] };
+
+  logger.info('alerts_evaluating', `🔔 Evaluating ${alerts.length} alerts...`, { alerts: alerts.length });
+
+  // Load each symbol/timeframe once
+  const barsByKey = new Map();
+  for (const alert of alerts) {
+    const key = `${alert.symbol}_${alert.timeframe}`;
+    if (barsByKey.has(key)) continue;
+    try {
+      barsByKey.set(key, toChartBars(await getBars(alert.symbol, alert.timeframe)));
+    } catch (error) {
+      logger.warn('alerts_skipped', `⚠️ No bars for ${alert.symbol} ${alert.timeframe} - skipping its alerts: ${error.message}`,
+                  { symbol: alert.symbol, timeframe: alert.timeframe, error: error.message });
+      barsByKey.set(key, []);
+    }
+  }
+
+  const triggered = [];
+  const fired = new Map(); // alert id -> triggers this sweep
+  for (const alert of alerts) {
+    const bars = barsByKey.get(`${alert.symbol}_${alert.timeframe}`);
+    if (!bars || bars.length < 2) continue;
+
+    // Evaluate every bar we haven't seen yet, plus the latest one (weekly/monthly bars keep forming)
+    const lastIdx = bars.length - 1;
+    const indices = [];
+    if (alert.last_evaluated_bar != null) {
+      for (let i = Math.max(1, lastIdx - MAX_CATCHUP_BARS); i < lastIdx; i++) {
+        if (bars[i].time > alert.last_evaluated_bar) indices.push(i);
+      }
+    }
+    indices.push(lastIdx);
+
+    for (const i of indices) {
+      const bar = bars[i];
+      if (alert.last_triggered_bar === bar.time) continue; // once per bar
+
+      const match = evaluateAlertOnBars(alert, bars.slice(0, i + 1));
+      if (!match) continue;
+
+      const entry = {
+        id: crypto.randomUUID(),
+        alert_id: alert.id,
+        symbol: alert.symbol,
+        timeframe: alert.timeframe,
+        lineType: alert.lineType,
+        lineId: alert.lineId,
+        label: alert.label || null,
+        direction: alert.direction,
+        signal: match.signal,
+        bar_date: new Date(bar.time * 1000).toISOString().slice(0, 10),
+        price: bar.close,
+        line_price: Number.isFinite(match.linePrice) ? match.linePrice : null,
+        triggered_at: new Date().toISOString(),
+        acknowledged: false
+      };
+
+      alert.status = 'triggered';
+      alert.last_triggered_bar = bar.time;
+      alert.last_triggered_at = entry.triggered_at;
+      alert.trigger_count = (alert.trigger_count || 0) + 1;
+
+      entry.delivery = await deliverWebhook({ event: 'alert.triggered', alert, trigger: entry });
+      triggered.push(entry);
+      fired.set(alert.id, (fired.get(alert.id) || 0) + 1);
+
+      logger.info('alert_triggered', `🚨 ${alert.symbol} ${alert.timeframe} ${describeAlertTarget(alert)} on ${entry.bar_date} @ ${bar.close} (webhook: ${entry.delivery.status})`, {
+        symbol: alert.symbol, timeframe: alert.timeframe, alert_id: alert.id, trigger_id: entry.id, signal: entry.signal,
+        bar_date: entry.bar_date, price: entry.price, line_price: entry.line_price, webhook: entry.delivery.status
+      });
+    }
+
+    alert.last_evaluated_bar = bars[lastIdx].time;
+  }
+
+  // Re-read before writing and merge only the fields the sweep owns, so alerts created,
+  // edited, deleted or acknowledged while bars and webhooks were awaited aren't lost
+  await withLock(ALERTS_FILE, async () => {
+    const latest = await listAlerts();
+    const evaluatedById = new Map(alerts.map(a => [a.id, a]));
+    await writeJson(ALERTS_FILE, latest.map(current => {
+      const evaluated = evaluatedById.get(current.id);
+      if (!evaluated) return current;
+      const merged = { ...current, last_evaluated_bar: evaluated.last_evaluated_bar };
+      const count = fired.get(current.id);
+      if (count) {
+        merged.last_triggered_bar = evaluated.last_triggered_bar;
+        merged.last_triggered_at = evaluated.last_triggered_at;
+        merged.trigger_count = (current.trigger_count || 0) + count;
+        // An acknowledgement made during the sweep wins over its triggers
+        if (!(current.acknowledged_at && current.acknowledged_at > startedAt)) merged.status = 'triggered';
+      }
+      return merged;
+    }));
+  });
+
+  if (triggered.length) {
+    await withLock(HISTORY_FILE, async () => {
+      const history = await readJson(HISTORY_FILE, []);
+      history.push(...triggered);
+      await writeJson(HISTORY_FILE, history.slice(-MAX_HISTORY));
+    });
+  }
+
+  logger.info('alerts_evaluated', `🔔 Alert evaluation done: ${triggered.length} triggered`,
+              { alerts: alerts.length, triggered: triggered.length });
+  return { evaluated: alerts.length, triggered };
+}
+
+module.exports = {
+  listAlerts,
+  listHistory,
+  validateAlertConfig,
+  createAlert,
+  alertConfig,
+  importAlerts,
+  deleteAlert,
+  acknowledgeAlert,
+  rescaleAlerts,
+  describeAlertTarget,
+  evaluateAlerts
+};
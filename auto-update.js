@@ -3,85 +3,229 @@
 // Runs at 7pm ET to refresh all cached stock data proactively
 
 const { getBarsCached } = require('./cache.js');
+const { checkSymbols, repairSymbol } = require('./quality.js');
+const { listAlerts, evaluateAlerts } = require('./alerts.js');
+const { getWatchlist } = require('./drawings.js');
+const { getQuotaStatus } = require('./scheduler.js');
+const { NYSE, sessionInfo } = require('./shared/calendar.js');
+const { DATA_DIR, readJson, writeJson, withLock } = require('./store.js');
+const { logger } = require('./logger.js');
+const { parseRatioSymbol } = require('./ratios.js');
+const path = require('path');
+const http = require('http');
 require('dotenv').config();
 
-// Default watchlist symbols (can be expanded)
-const DEFAULT_WATCHLIST = [
-  'AAPL', 'META', 'GOOGL', 'TSLA', 'MSFT', 'NVDA', 'AMZN', 'NFLX', 
-  'SPY', 'QQQ', 'IWM', 'BTCUSD', 'AMD', 'CRM', 'SNOW'
-];
+// The last few runs, newest first, for the status page
+const WARM_RUNS_FILE = path.join(DATA_DIR, 'warm-runs.json');
+const MAX_WARM_RUNS = 20;
 
-// Batch size to avoid overwhelming API
-const BATCH_SIZE = 5;
-
-// Delay between batches (seconds)
-const BATCH_DELAY = 10;
+async function recordWarmRun(run) {
+  await withLock(WARM_RUNS_FILE, async () => {
+    const runs = (await readJson(WARM_RUNS_FILE, [])).filter(r => r.id !== run.id);
+    await writeJson(WARM_RUNS_FILE, [run, ...runs].slice(0, MAX_WARM_RUNS));
+  });
+}
 
-async function sleep(seconds) {
-  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+async function listWarmRuns() {
+  return readJson(WARM_RUNS_FILE, []);
 }
 
+// Returns { symbol, ok, error? }
 async function updateSymbolCache(symbol) {
   try {
-    console.log(`🔄 Updating cache for ${symbol}...`);
+    logger.info('warm_symbol', `🔄 Updating cache for ${symbol}...`, { symbol });
     
     // Update multiple timeframes for each symbol
-    await getBarsCached(symbol, 1000, '1d');   // Daily data
-    await getBarsCached(symbol, 200, '1w');    // Weekly data  
-    await getBarsCached(symbol, 60, '1m');     // Monthly data
+    await getBarsCached(symbol, 1000, '1d', { priority: 'batch' });   // Daily data
+    await getBarsCached(symbol, 200, '1w', { priority: 'batch' });    // Weekly data  
+    await getBarsCached(symbol, 60, '1m', { priority: 'batch' });     // Monthly data
     
-    console.log(`✅ Updated ${symbol} cache successfully`);
-    return true;
+    logger.info('warm_symbol_done', `✅ Updated ${symbol} cache successfully`, { symbol });
+    return { symbol, ok: true };
   } catch (error) {
-    console.log(`❌ Failed to update ${symbol}: ${error.message}`);
-    return false;
+    logger.error('warm_symbol_failed', `❌ Failed to update ${symbol}: ${error.message}`, { symbol, error: error.message });
+    return { symbol, ok: false, error: error.message };
   }
 }
 
-async function updateAllCaches(symbolList = DEFAULT_WATCHLIST) {
-  console.log(`🚀 Starting auto-update for ${symbolList.length} symbols...`);
-  console.log(`📦 Batch size: ${BATCH_SIZE}, Delay: ${BATCH_DELAY}s between batches`);
-  
-  const startTime = Date.now();
-  let successCount = 0;
-  let errorCount = 0;
-  
-  // Process symbols in batches
-  for (let i = 0; i < symbolList.length; i += BATCH_SIZE) {
-    const batch = symbolList.slice(i, i + BATCH_SIZE);
-    const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-    const totalBatches = Math.ceil(symbolList.length / BATCH_SIZE);
-    
-    console.log(`\n📋 Processing batch ${batchNum}/${totalBatches}: ${batch.join(', ')}`);
-    
-    // Process batch in parallel
-    const promises = batch.map(symbol => updateSymbolCache(symbol));
-    const results = await Promise.allSettled(promises);
-    
-    // Count results
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value === true) {
-        successCount++;
-      } else {
-        errorCount++;
-        console.log(`❌ ${batch[index]} failed: ${result.reason || 'Unknown error'}`);
-      }
+// Every symbol on any saved watchlist, plus symbols with saved alerts (which must be
+// refreshed even if they were taken off every list). Ratios (AAPL/SPY) warm their two legs.
+async function watchedSymbols() {
+  const { symbols } = await getWatchlist();
+  const alertSymbols = (await listAlerts()).map(a => a.symbol);
+  return [...new Set([...symbols, ...alertSymbols].flatMap(s => {
+    const ratio = parseRatioSymbol(s);
+    return ratio ? [ratio.base, ratio.quote] : [s];
+  }))];
+}
+
+// Evaluate all saved alerts against the freshly cached bars
+async function runAlertSweep() {
+  try {
+    return await evaluateAlerts(async (symbol, timeframe) => {
+      const result = await getBarsCached(symbol, 4000, timeframe, { priority: 'batch' });
+      return result.data;
     });
-    
-    // Delay between batches (except for last batch)
-    if (i + BATCH_SIZE < symbolList.length) {
-      console.log(`⏸️ Waiting ${BATCH_DELAY}s before next batch...`);
-      await sleep(BATCH_DELAY);
-    }
+  } catch (error) {
+    logger.error('alert_sweep_failed', `❌ Alert evaluation failed: ${error.message}`, { error: error.message });
+    return { evaluated: 0, triggered: [], error: error.message };
+  }
+}
+
+// --webhook-stub: a local receiver that answers every POST with `status` and prints the
+// alert it carried, so webhook delivery (sent/failed in the alert history) can be
+// checked without a real endpoint. Points ALERT_WEBHOOK_URL at itself for this run.
+function startWebhookStub(status = 200) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        let payload = null;
+        try {
+          payload = JSON.parse(body);
+        } catch {
+          // printed as unparsed below
+        }
+        const { alert, trigger } = payload || {};
+        console.log(payload
+          ? `📨 Webhook stub got ${payload.event}: ${alert?.symbol} ${alert?.timeframe} ${trigger?.signal} on ${trigger?.bar_date} @ ${trigger?.price} (answering ${status})`
+          : `📨 Webhook stub got ${req.method} ${req.url} with an unparsed body (answering ${status})`);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: status < 400 }));
+      });
+    });
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      process.env.ALERT_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/alerts`;
+      console.log(`📨 Webhook stub listening at ${process.env.ALERT_WEBHOOK_URL}`);
+      resolve(server);
+    });
+  });
+}
+
+const hhmm = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Today's NYSE session in exchange time. Stock caches only go stale after a session's
+// EOD bar is published (holidays and early closes included); crypto refreshes daily.
+function describeSession() {
+  const { ymd, minutes } = NYSE.now();
+  const session = sessionInfo(NYSE, ymd);
+  if (!session.tradingDay) {
+    console.log(`📅 NYSE closed on ${ymd} (${session.holiday || 'weekend'}) - only 24/7 symbols will fetch`);
+  } else {
+    const early = session.earlyClose ? ` (early close: ${session.earlyClose})` : '';
+    console.log(`📅 NYSE session ${ymd} closes ${hhmm(session.closeMinutes)} ET${early}, EOD data expected after ${hhmm(session.readyMinutes)} ET`);
   }
+  return { ...session, nowMinutes: minutes };
+}
+
+// --wait: sleep until today's EOD bars should be out, so one cron entry handles early closes
+async function waitForSessionData() {
+  const session = describeSession();
+  if (!session.tradingDay || session.nowMinutes >= session.readyMinutes) return;
+  const waitMinutes = session.readyMinutes - session.nowMinutes;
+  console.log(`⏸️ Waiting ${waitMinutes} min for today's EOD data...`);
+  await new Promise(resolve => setTimeout(resolve, waitMinutes * 60 * 1000));
+}
+
+async function logQuota(label) {
+  const quota = await getQuotaStatus();
+  console.log(`📡 API quota ${label}: ${quota.remaining.hour}/${quota.limits.hourly} left this hour, ${quota.remaining.day}/${quota.limits.daily} today`);
+  return { hour: quota.remaining.hour, day: quota.remaining.day };
+}
+
+async function updateAllCaches(symbolList) {
+  if (!symbolList) symbolList = await watchedSymbols();
+  const startTime = Date.now();
+  const run = {
+    id: new Date(startTime).toISOString(),
+    started_at: new Date(startTime).toISOString(),
+    finished_at: null,
+    symbols: symbolList.length,
+    quota_before: null
+  };
+  logger.info('warm_run_start', `🚀 Starting auto-update for ${symbolList.length} symbols...`, { run: run.id, symbols: symbolList.length });
+  describeSession();
+  run.quota_before = await logQuota('before update');
+  await recordWarmRun(run); // shows as running on the status page
+  
+  // Queue every symbol at once: the shared scheduler paces upstream requests against
+  // the API budget and keeps part of each hour free for interactive loads
+  const results = await Promise.all(symbolList.map(symbol => updateSymbolCache(symbol)));
+  const failures = results.filter(r => !r.ok).map(({ symbol, error }) => ({ symbol, error }));
+  const successCount = results.length - failures.length;
+  const errorCount = failures.length;
+  
+  // Alerts run after the refresh so they see today's bar
+  const alertResult = await runAlertSweep();
   
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
   
-  console.log(`\n🎉 Auto-update completed in ${duration}s`);
+  console.log('');
+  logger.info('warm_run_done', `🎉 Auto-update completed in ${duration}s`,
+              { run: run.id, duration_s: +duration, success: successCount, errors: errorCount });
   console.log(`✅ Success: ${successCount}, ❌ Errors: ${errorCount}`);
+  console.log(`🔔 Alerts triggered: ${alertResult.triggered.length}`);
+  Object.assign(run, {
+    finished_at: new Date().toISOString(),
+    duration_s: +duration,
+    success: successCount,
+    errors: failures,
+    alerts_evaluated: alertResult.evaluated,
+    alerts_triggered: alertResult.triggered.length,
+    alert_error: alertResult.error || null,
+    quota_after: await logQuota('after update')
+  });
+  await recordWarmRun(run);
   console.log(`💡 Users will now experience instant symbol switching!`);
   
-  return { successCount, errorCount, duration };
+  return { successCount, errorCount, duration, alertsTriggered: alertResult.triggered.length };
+}
+
+function printQualityReport(report) {
+  const span = report.bars ? `${report.first_date} → ${report.last_date}` : 'empty';
+  if (report.ok) {
+    console.log(`✅ ${report.symbol}: ${report.bars} bars (${span}), no issues`);
+    return;
+  }
+  const counts = Object.entries(report.counts).map(([type, n]) => `${n} ${type}`).join(', ');
+  console.log(`⚠️ ${report.symbol}: ${report.bars} bars (${span}): ${counts}`);
+  for (const issue of report.issues.slice(0, 10)) {
+    const dates = issue.from === issue.to ? issue.from : `${issue.from} → ${issue.to}`;
+    console.log(`   ${issue.type.padEnd(16)} ${dates.padEnd(24)} ${issue.detail}`);
+  }
+  if (report.issues.length > 10) console.log(`   … ${report.issues.length - 10} more (GET /api/quality/${report.symbol})`);
+}
+
+// --check: report on the daily caches without fetching anything; exit 1 if anything is wrong
+async function runQualityCheck(symbols) {
+  const { reports, errors } = await checkSymbols({ symbols });
+  console.log(`🩺 Checking ${reports.length + errors.length} cached daily series\n`);
+  reports.forEach(printQualityReport);
+  errors.forEach(e => console.log(`❌ ${e.symbol}: ${e.error}`));
+  const bad = reports.filter(r => !r.ok).length + errors.length;
+  console.log(`\n📋 ${reports.length - reports.filter(r => !r.ok).length} clean, ${bad} with issues`);
+  return bad;
+}
+
+// --repair: refetch the date ranges behind each symbol's issues, then report again
+async function runQualityRepair(symbols) {
+  let bad = 0;
+  for (const symbol of symbols) {
+    try {
+      const result = await repairSymbol(symbol);
+      const fetched = result.ranges.reduce((n, r) => n + r.fetched, 0);
+      console.log(`🩹 ${result.symbol}: refetched ${result.ranges.length} ranges (${fetched} bars)` +
+                  (result.skipped_ranges.length ? `, ${result.skipped_ranges.length} left for the next run` : ''));
+      printQualityReport(result.after);
+      if (!result.after.ok) bad++;
+    } catch (error) {
+      console.log(`❌ ${symbol}: ${error.message}`);
+      bad++;
+    }
+  }
+  return bad;
 }
 
 // CLI usage
@@ -93,33 +237,95 @@ if (require.main === module) {
 EOD Watch Auto-Update System
 
 Usage:
-  node auto-update.js                    # Update default watchlist
+  node auto-update.js                    # Update every symbol on the saved watchlists
   node auto-update.js AAPL META TSLA     # Update specific symbols
   node auto-update.js --test              # Test with 3 symbols only
+  node auto-update.js --alerts-only       # Evaluate saved alerts without refreshing
+  node auto-update.js --wait              # Sleep until today's NYSE EOD data is out, then update
+  node auto-update.js --check [AAPL ...]  # Check cached daily bars (all symbols by default)
+  node auto-update.js --repair AAPL ...   # Refetch the date ranges behind the issues found
+  node auto-update.js --alerts-only --webhook-stub[=500]  # Deliver to a local receiver
 
 Examples:
-  node auto-update.js                     # Full update (15 symbols)
+  node auto-update.js                     # Full update (all watchlists + alert symbols)
   node auto-update.js --test              # Quick test (3 symbols)
   node auto-update.js AAPL GOOGL TSLA     # Custom symbols
 
+API quota:
+  Upstream requests share one budget with the server, stored in data/quota.json.
+  Set API_HOURLY_LIMIT (default 50), API_DAILY_LIMIT (default 1000) and
+  API_MAX_CONCURRENT (default 2) in .env. API_INTERACTIVE_RESERVE (default 10%
+  of the hourly limit) is kept for chart loads; batch work waits for the next
+  window when its share runs out.
+
+Data quality:
+  --check looks for missing trading days, duplicate or out-of-order bars,
+  high/low/open/close that don't fit together, runs of zero volume and
+  close-to-close jumps over 25%, and exits 1 when it finds any. --repair
+  refetches only those date ranges (one API request per range); days the
+  provider has no bar for either are not reported again.
+
+Alerts:
+  Saved alerts are evaluated after every refresh. Set ALERT_WEBHOOK_URL
+  in .env to POST each triggered alert as JSON. To check delivery without a
+  real endpoint, add --webhook-stub: a receiver on 127.0.0.1 prints every
+  POST and the run sends to it instead; --webhook-stub=500 answers with that
+  status so the failed path can be seen. The result is each trigger's
+  delivery (sent/failed) in data/alert-history.json.
+
 Scheduling:
   Add to crontab for 7pm ET daily:
   0 19 * * * cd /path/to/eod-watch && node auto-update.js
+  Or start it early and let the NYSE calendar pick the time (early closes too):
+  0 13 * * 1-5 cd /path/to/eod-watch && node auto-update.js --wait
     `);
     process.exit(0);
   }
   
-  let symbols = DEFAULT_WATCHLIST;
+  // --webhook-stub or --webhook-stub=STATUS
+  const stubArg = args.find(a => a === '--webhook-stub' || a.startsWith('--webhook-stub='));
+  const stubReady = stubArg
+    ? startWebhookStub(parseInt(stubArg.split('=')[1] || '200', 10))
+    : Promise.resolve();
+  
+  if (args.includes('--alerts-only')) {
+    stubReady
+      .then(runAlertSweep)
+      .then(result => {
+        console.log(`\n🔔 Evaluated ${result.evaluated} alerts, ${result.triggered.length} triggered`);
+        process.exit(result.error ? 1 : 0);
+      });
+    return;
+  }
+  
+  if (args.includes('--check') || args.includes('--repair')) {
+    const listed = args.filter(a => !a.startsWith('--')).map(s => s.toUpperCase());
+    if (args.includes('--repair') && !listed.length) {
+      console.error('--repair needs one or more symbols (see --check for the ones with issues)');
+      process.exit(2);
+    }
+    (args.includes('--repair') ? runQualityRepair(listed) : runQualityCheck(listed))
+      .then(bad => process.exit(bad ? 1 : 0))
+      .catch(error => {
+        console.error(`💥 Quality check failed: ${error.message}`);
+        process.exit(1);
+      });
+    return;
+  }
+  
+  let symbols = null; // all watchlists
   
   if (args.includes('--test')) {
     symbols = ['AAPL', 'META', 'TSLA']; // Quick test with 3 symbols
     console.log('🧪 Running in TEST mode with 3 symbols only');
   } else if (args.length > 0 && !args[0].startsWith('--')) {
-    symbols = args.map(s => s.toUpperCase());
+    symbols = args.filter(a => !a.startsWith('--')).map(s => s.toUpperCase());
     console.log(`🎯 Custom symbol list: ${symbols.join(', ')}`);
   }
   
-  updateAllCaches(symbols)
+  stubReady
+    .then(() => (args.includes('--wait') ? waitForSessionData() : null))
+    .then(() => updateAllCaches(symbols))
     .then(result => {
       console.log(`\n📊 Final Results:`);
       console.log(`   Success Rate: ${((result.successCount / (result.successCount + result.errorCount)) * 100).toFixed(1)}%`);
@@ -132,4 +338,4 @@ Scheduling:
     });
 }
 
-module.exports = { updateAllCaches, updateSymbolCache };
\ No newline at end of file
+module.exports = { updateAllCaches, updateSymbolCache, runAlertSweep, listWarmRuns };
\ No newline at end of file
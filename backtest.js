@@ -0,0 +1,247 @@
+// backtest.js - Historical signal backtester over cached bars
+// Walks a symbol's history bar by bar and records every cross of the selected rules
+// (levels, trendlines, indicator lines), then measures what price did afterwards.
+// Crossing rules are the ones evaluateCrossSuite applies to the last bar, so a backtest
+// event is exactly what the signals panel / alert sweep would have reported that day.
+const { getBarsCached } = require('./cache.js');
+const drawings = require('./drawings.js');
+const { toChartBars } = require('./signals.js');
+const { normalizeChartSymbol } = require('./ratios.js');
+const {
+  TYPES, LEGACY_SPECS, normalizeSpec, describe, computeIndicator, crossed, valueOnTrendAt, drawingTargets
+} = require('./shared/indicators.js');
+
+// Enough for 20 years of daily bars
+const BACKTEST_BARS = 6000;
+const DEFAULT_HORIZONS = [1, 5, 20];
+const MAX_RULES = 50;
+const MAX_EVENTS = 5000;
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  return err;
+}
+
+const pct = (a, b) => (Number.isFinite(a) && Number.isFinite(b) && b !== 0 ? +(((a - b) / b) * 100).toFixed(2) : null);
+const mean = xs => (xs.length ? +(xs.reduce((s, x) => s + x, 0) / xs.length).toFixed(2) : null);
+
+// Align a line's points with the bars (null where the line hasn't started)
+function alignPoints(bars, points) {
+  const byTime = new Map(points.map(p => [p.time, p.value]));
+  return bars.map(b => (byTime.has(b.time) ? byTime.get(b.time) : null));
+}
+
+// Expand one rule into comparisons: `a` crossing `b`, both aligned with the bars.
+// Relative AVWAP anchors (ytd/qtd/mtd) resolve against the last bar, as on the chart.
+function comparisons(bars, rule) {
+  if (!rule || typeof rule !== 'object') throw invalidRequest('Each rule must be an object');
+  const closes = bars.map(b => b.close);
+
+  if (rule.type === 'level') {
+    const price = +rule.price;
+    if (!Number.isFinite(price)) throw invalidRequest('Level rules need a price');
+    return [{ id: rule.id || `level:${price}`, label: rule.label || `Level ${price}`, a: closes, b: bars.map(() => price) }];
+  }
+
+  if (rule.type === 'trendline') {
+    const t = rule;
+    if (![t.startTime, t.startPrice, t.endTime, t.endPrice].every(Number.isFinite)) {
+      throw invalidRequest('Trendline rules need start/end time and price');
+    }
+    // A trendline only exists from its first anchor on; projecting it backwards would be hindsight
+    const from = Math.min(t.startTime, t.endTime);
+    const b = bars.map(bar => (bar.time >= from ? valueOnTrendAt(t, bar.time) : null));
+    return [{ id: t.id || `trend:${t.startTime}`, label: t.label || 'Trendline', a: closes, b }];
+  }
+
+  if (rule.type === 'zone') {
+    const top = +rule.top, bottom = +rule.bottom;
+    if (!Number.isFinite(top) || !Number.isFinite(bottom) || top < bottom) {
+      throw invalidRequest('Zone rules need top >= bottom');
+    }
+    // Entering from above is a cross_down of the top edge, from below a cross_up of the bottom
+    const from = Number.isFinite(rule.from) ? rule.from : -Infinity;
+    const edge = price => bars.map(bar => (bar.time >= from ? price : null));
+    const id = rule.id || `zone:${bottom}-${top}`;
+    const name = rule.label || `Zone ${bottom}-${top}`;
+    return [
+      { id: `${id}:top`, label: `${name} top`, a: closes, b: edge(top) },
+      { id: `${id}:bottom`, label: `${name} bottom`, a: closes, b: edge(bottom) }
+    ];
+  }
+
+  if (rule.type === 'indicator') {
+    let spec;
+    try {
+      spec = normalizeSpec(rule.indicator);
+    } catch (error) {
+      throw invalidRequest(error.message);
+    }
+    const def = TYPES[spec.type];
+    const lines = computeIndicator(spec, bars);
+    const name = describe(spec);
+    const threshold = rule.threshold != null ? +rule.threshold : null;
+    const wanted = rule.line ? def.lines.filter(l => l.key === rule.line) : def.lines;
+    if (!wanted.length) throw invalidRequest(`Invalid line for ${spec.type}: ${rule.line}`);
+
+    const out = [];
+    for (const l of wanted) {
+      const values = alignPoints(bars, lines[l.key] || []);
+      const label = l.key === 'value' ? name : `${name} ${l.key}`;
+      const id = `${name.toLowerCase()}:${l.key}`;
+      if (def.pane === 'price') {
+        out.push({ id, label, a: closes, b: values });
+      } else if (Number.isFinite(threshold)) {
+        out.push({ id: `${id}@${threshold}`, label: `${label} ${threshold}`, a: values, b: bars.map(() => threshold) });
+      } else if (l.vs) {
+        out.push({ id: `${id}:${l.vs}`, label: `${label} / ${l.vs}`, a: values, b: alignPoints(bars, lines[l.vs] || []) });
+      } else {
+        for (const g of l.guides || []) {
+          out.push({ id: `${id}@${g}`, label: `${label} ${g}`, a: values, b: bars.map(() => g) });
+        }
+      }
+    }
+    return out;
+  }
+
+  throw invalidRequest(`Unknown rule type: ${rule.type}`);
+}
+
+// Forward returns after bar i and the worst move against the signal over the longest horizon
+function measureEvent(bars, i, dir, horizons) {
+  const entry = bars[i].close;
+  const up = dir === 'cross_up';
+  const returns = {};
+  for (const h of horizons) returns[h] = i + h < bars.length ? pct(bars[i + h].close, entry) : null;
+
+  const maxH = Math.max(...horizons);
+  const after = bars.slice(i + 1, i + 1 + maxH);
+  let drawdown = null;
+  if (after.length) {
+    // Longs are hurt by the lowest low, shorts by the highest high (reported as a negative %)
+    drawdown = up
+      ? Math.min(0, pct(Math.min(...after.map(b => b.low)), entry))
+      : Math.min(0, -pct(Math.max(...after.map(b => b.high)), entry));
+  }
+  return { returns, drawdown };
+}
+
+// A cross_up "hits" if price is higher N bars later, a cross_down if it is lower
+function summarize(events, horizons) {
+  const groups = new Map();
+  for (const e of events) {
+    const key = `${e.rule}|${e.dir}`;
+    if (!groups.has(key)) groups.set(key, { rule: e.rule, label: e.label, dir: e.dir, events: [] });
+    groups.get(key).events.push(e);
+  }
+  return [...groups.values()].map(({ rule, label, dir, events: evs }) => {
+    const sign = dir === 'cross_up' ? 1 : -1;
+    const avg_return = {}, hit_rate = {};
+    for (const h of horizons) {
+      const rets = evs.map(e => e.returns[h]).filter(Number.isFinite);
+      avg_return[h] = mean(rets);
+      hit_rate[h] = rets.length ? +((rets.filter(r => r * sign > 0).length / rets.length) * 100).toFixed(1) : null;
+    }
+    const dds = evs.map(e => e.drawdown).filter(Number.isFinite);
+    return {
+      rule,
+      label,
+      dir,
+      count: evs.length,
+      avg_return,
+      hit_rate,
+      avg_drawdown: mean(dds),
+      max_drawdown: dds.length ? Math.min(...dds) : null
+    };
+  });
+}
+
+// Saved drawings for the chart (including higher-timeframe ones shown on it) plus the
+// classic EMA(200) and BB(20,2). Fib retracements become levels, channels two trendlines.
+async function defaultRules(symbol, timeframe) {
+  const doc = await drawings.getChartDrawings(symbol, timeframe);
+  const targets = drawingTargets(doc.trendlines);
+  return [
+    ...[...doc.levels, ...targets.levels].map(l => ({ type: 'level', id: l.id, price: l.price, label: l.label })),
+    ...targets.trends.map(t => ({ type: 'trendline', ...t })),
+    ...targets.zones.map(z => ({ type: 'zone', ...z })),
+    { type: 'indicator', indicator: LEGACY_SPECS.ema200 },
+    { type: 'indicator', indicator: LEGACY_SPECS.bb20, line: 'upper' },
+    { type: 'indicator', indicator: LEGACY_SPECS.bb20, line: 'lower' }
+  ];
+}
+
+function parseHorizons(horizons) {
+  if (horizons == null) return DEFAULT_HORIZONS;
+  const list = (Array.isArray(horizons) ? horizons : String(horizons).split(',')).map(Number);
+  if (!list.length || list.some(h => !Number.isInteger(h) || h < 1 || h > 250)) {
+    throw invalidRequest('horizons must be whole numbers of bars between 1 and 250');
+  }
+  return [...new Set(list)].sort((a, b) => a - b);
+}
+
+// Run a backtest. rules default to the saved drawings plus EMA(200)/BB(20,2);
+// direction limits events to 'up' or 'down' crosses; from/to are 'YYYY-MM-DD' bounds.
+async function runBacktest({ symbol, timeframe = '1D', adjusted = true, rules, horizons, direction = 'both', from, to } = {}) {
+  const sym = normalizeChartSymbol(symbol);
+  if (!sym) throw invalidRequest(`Invalid symbol: ${symbol}`);
+  const tf = String(timeframe).toUpperCase();
+  if (!['1H', '4H', '1D', '1W', '1M'].includes(tf)) throw invalidRequest(`Invalid timeframe: ${timeframe}`);
+  if (!['both', 'up', 'down'].includes(direction)) throw invalidRequest(`Invalid direction: ${direction}`);
+  const hs = parseHorizons(horizons);
+
+  const ruleList = rules?.length ? rules : await defaultRules(sym, tf);
+  if (!Array.isArray(ruleList) || ruleList.length > MAX_RULES) throw invalidRequest(`Send 1-${MAX_RULES} rules`);
+
+  const series = await getBarsCached(sym, BACKTEST_BARS, tf, { adjusted, priority: 'interactive' });
+  const bars = toChartBars(series.data);
+  const fromT = from ? Date.parse(`${from}T00:00:00Z`) / 1000 : -Infinity;
+  // `to` is inclusive: every bar before the next day's midnight (intraday bars included)
+  const endT = to ? Date.parse(`${to}T00:00:00Z`) / 1000 + 86400 : Infinity;
+
+  const comps = ruleList.flatMap(rule => comparisons(bars, rule));
+  const events = [];
+  for (const c of comps) {
+    for (let i = 1; i < bars.length; i++) {
+      if (bars[i].time < fromT || bars[i].time >= endT) continue;
+      if (!crossed(c.a[i - 1], c.b[i - 1], c.a[i], c.b[i])) continue;
+      const dir = c.a[i] > c.b[i] ? 'cross_up' : 'cross_down';
+      if ((direction === 'up' && dir !== 'cross_up') || (direction === 'down' && dir !== 'cross_down')) continue;
+      events.push({
+        time: bars[i].time,
+        date: new Date(bars[i].time * 1000).toISOString().slice(0, 10),
+        rule: c.id,
+        label: c.label,
+        dir,
+        price: bars[i].close,
+        line_value: +c.b[i].toFixed(4),
+        ...measureEvent(bars, i, dir, hs)
+      });
+    }
+  }
+  events.sort((a, b) => a.time - b.time);
+
+  // Summary in rule order, upward crosses first
+  const ruleOrder = comps.map(c => c.id);
+  const summary = summarize(events, hs)
+    .sort((a, b) => ruleOrder.indexOf(a.rule) - ruleOrder.indexOf(b.rule) || b.dir.localeCompare(a.dir));
+
+  return {
+    symbol: sym,
+    timeframe: tf,
+    adjusted,
+    bars: bars.length,
+    from: bars.length ? new Date(bars[0].time * 1000).toISOString().slice(0, 10) : null,
+    to: bars.length ? new Date(bars[bars.length - 1].time * 1000).toISOString().slice(0, 10) : null,
+    horizons: hs,
+    rules: comps.map(c => ({ id: c.id, label: c.label })),
+    summary,
+    events: events.slice(-MAX_EVENTS),
+    truncated: events.length > MAX_EVENTS
+  };
+}
+
+module.exports = {
+  runBacktest
+};
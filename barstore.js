@@ -0,0 +1,207 @@
+// barstore.js - Segmented on-disk bar store used by cache.js
+// Each series (symbol + timeframe + provider) is a directory under ./cache/ holding
+// meta.json and one file per calendar year of bars:
+//
+//   cache/AAPL_1d/meta.json
+//   cache/AAPL_1d/2023.json
+//   cache/AAPL_1d/2024.json
+//
+// Appending a delta only rewrites the year segments it touches, so closed years are
+// never written again and there is no cap on history length. Every file is written
+// to a temp file and renamed into place, so a crash or a second process (server +
+// auto-update) never sees a half-written segment.
+const fs = require('fs').promises;
+const path = require('path');
+const { readJson, writeJson } = require('./store.js');
+
+const CACHE_DIR = path.join(process.cwd(), 'cache');
+
+// Tiingo keeps the original names; other providers get their own series so
+// switching a symbol to fixture/CSV data never clobbers its real cached history
+function seriesName(symbol, timeframe = '1d', providerName = 'tiingo') {
+  // Security: Sanitize symbol to prevent path traversal attacks
+  const safeSymbol = String(symbol).toUpperCase().replace(/[^A-Z0-9.-]/g, '');
+  if (!safeSymbol || safeSymbol.length > 10) {
+    throw new Error(`Invalid symbol: ${symbol}`);
+  }
+  const safeTf = String(timeframe).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const suffix = providerName === 'tiingo' ? '' : `_${providerName.replace(/[^a-z0-9-]/gi, '')}`;
+  return `${safeSymbol}_${safeTf}${suffix}`;
+}
+
+function seriesDir(symbol, timeframe, providerName) {
+  return path.join(CACHE_DIR, seriesName(symbol, timeframe, providerName));
+}
+
+const segmentYear = bar => String(bar.time).slice(0, 4);
+
+async function listSegments(dir) {
+  try {
+    const files = await fs.readdir(dir);
+    return files.filter(f => /^\d{4}\.json$/.test(f)).sort();
+  } catch {
+    return [];
+  }
+}
+
+// Bars are keyed by time; later copies win so a re-fetched bar replaces the old one
+function mergeBars(existing, incoming) {
+  const byTime = new Map(existing.map(b => [b.time, b]));
+  for (const b of incoming) byTime.set(b.time, b);
+  return [...byTime.values()].sort((a, b) => String(a.time).localeCompare(String(b.time)));
+}
+
+function groupByYear(bars) {
+  const years = new Map();
+  for (const b of bars) {
+    const y = segmentYear(b);
+    if (!years.has(y)) years.set(y, []);
+    years.get(y).push(b);
+  }
+  return years;
+}
+
+// Read the whole series. Returns { meta: null, bars: [] } if nothing is stored yet.
+async function readSeries(symbol, timeframe, providerName) {
+  const dir = seriesDir(symbol, timeframe, providerName);
+  const meta = await readJson(path.join(dir, 'meta.json'), null);
+  if (!meta) return migrateLegacy(symbol, timeframe, providerName);
+
+  const bars = [];
+  for (const seg of await listSegments(dir)) {
+    bars.push(...await readJson(path.join(dir, seg), []));
+  }
+  return { meta, bars };
+}
+
+async function writeMeta(symbol, timeframe, providerName, meta) {
+  const dir = seriesDir(symbol, timeframe, providerName);
+  await writeJson(path.join(dir, 'meta.json'), meta);
+}
+
+// Merge new bars into their year segments, then update meta (last, so a reader
+// that sees the new last_bar_date always finds the bars behind it)
+async function appendBars(symbol, timeframe, providerName, bars, meta) {
+  const dir = seriesDir(symbol, timeframe, providerName);
+  for (const [year, yearBars] of groupByYear(bars)) {
+    const file = path.join(dir, `${year}.json`);
+    const existing = await readJson(file, []);
+    await writeJson(file, mergeBars(existing, yearBars), { pretty: false });
+  }
+  await writeJson(path.join(dir, 'meta.json'), meta);
+}
+
+// Swap in a complete new history (first fetch, corporate action rebuild). The new
+// segments are written to a sibling directory and renamed over the old one.
+async function replaceSeries(symbol, timeframe, providerName, { meta, bars }) {
+  const dir = seriesDir(symbol, timeframe, providerName);
+  const staging = `${dir}.${process.pid}.staging`;
+  const retired = `${dir}.${process.pid}.old`;
+
+  await fs.rm(staging, { recursive: true, force: true });
+  for (const [year, yearBars] of groupByYear(mergeBars([], bars))) {
+    await writeJson(path.join(staging, `${year}.json`), yearBars, { pretty: false });
+  }
+  await writeJson(path.join(staging, 'meta.json'), meta);
+
+  const hadOld = await fs.rename(dir, retired).then(() => true, () => false);
+  await fs.rename(staging, dir);
+  if (hadOld) await fs.rm(retired, { recursive: true, force: true });
+}
+
+// Retention for rolling series (intraday): delete whole years before the cutoff and
+// trim the year it falls in. Returns how many bars were dropped.
+async function dropBarsBefore(symbol, timeframe, providerName, cutoffTime) {
+  const dir = seriesDir(symbol, timeframe, providerName);
+  const cutoffYear = cutoffTime.slice(0, 4);
+  let dropped = 0;
+  for (const seg of await listSegments(dir)) {
+    const year = seg.slice(0, 4);
+    if (year > cutoffYear) break;
+    const file = path.join(dir, seg);
+    const bars = await readJson(file, []);
+    const kept = bars.filter(b => String(b.time) >= cutoffTime);
+    dropped += bars.length - kept.length;
+    if (!kept.length) await fs.rm(file, { force: true });
+    else if (kept.length < bars.length) await writeJson(file, kept, { pretty: false });
+  }
+  return dropped;
+}
+
+// Pre-segment caches were a single cache/SYMBOL_tf[_provider].json file. Copy one into
+// the segmented layout the first time it is read; the old file is left untouched.
+async function migrateLegacy(symbol, timeframe, providerName) {
+  const legacyFile = `${seriesDir(symbol, timeframe, providerName)}.json`;
+  const legacy = await readJson(legacyFile, null);
+  if (!legacy || !legacy.meta) return { meta: null, bars: [] };
+
+  const meta = { ...legacy.meta, migrated_from: path.basename(legacyFile) };
+  const bars = Array.isArray(legacy.bars) ? legacy.bars : [];
+  await replaceSeries(symbol, timeframe, providerName, { meta, bars });
+  console.log(`📦 Migrated ${path.basename(legacyFile)} to segmented store (${bars.length} bars)`);
+  return { meta, bars };
+}
+
+// Every stored series with its meta and bar count (null with countBars: false, which
+// skips reading the segments), for the status page. Staging and retired directories of
+// an in-progress replaceSeries don't match the name pattern.
+async function listSeries({ countBars = true } = {}) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(CACHE_DIR, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const series = [];
+  for (const entry of entries) {
+    const m = /^([A-Z0-9.-]{1,10})_([a-z0-9]+)(?:_([a-z0-9-]+))?$/i.exec(entry.name);
+    if (!entry.isDirectory() || !m) continue;
+    const [, symbol, timeframe, providerName = 'tiingo'] = m;
+    const dir = path.join(CACHE_DIR, entry.name);
+    const meta = await readJson(path.join(dir, 'meta.json'), null);
+    if (!meta) continue;
+    let barCount = countBars ? 0 : null;
+    if (countBars) {
+      for (const seg of await listSegments(dir)) barCount += (await readJson(path.join(dir, seg), [])).length;
+    }
+    series.push({ symbol, timeframe, provider: providerName, meta, barCount });
+  }
+  return series;
+}
+
+// Migrate every legacy cache file up front (called at startup)
+async function migrateLegacyCache() {
+  let files = [];
+  try {
+    files = await fs.readdir(CACHE_DIR);
+  } catch {
+    return 0;
+  }
+  let migrated = 0;
+  for (const f of files) {
+    const m = /^([A-Z0-9.-]{1,10})_([a-z0-9]+)(?:_([a-z0-9-]+))?\.json$/i.exec(f);
+    if (!m) continue;
+    const [, symbol, timeframe, providerName = 'tiingo'] = m;
+    const dir = seriesDir(symbol, timeframe, providerName);
+    if (await readJson(path.join(dir, 'meta.json'), null)) continue;
+    try {
+      const { meta } = await migrateLegacy(symbol, timeframe, providerName);
+      if (meta) migrated++;
+    } catch (error) {
+      console.log(`⚠️ Could not migrate ${f}: ${error.message}`);
+    }
+  }
+  return migrated;
+}
+
+module.exports = {
+  CACHE_DIR,
+  seriesName,
+  readSeries,
+  writeMeta,
+  appendBars,
+  replaceSeries,
+  dropBarsBefore,
+  listSeries,
+  migrateLegacyCache
+};
@@ -1,9 +1,21 @@
 // cache.js - Production-grade delta caching system for EOD data
 const fs = require('fs').promises;
-const path = require('path');
-const axios = require('axios');
-
-const CACHE_DIR = path.join(process.cwd(), 'cache');
+const { providerForSymbol } = require('./providers/index.js');
+const { withLock } = require('./store.js');
+const { schedule, isQuotaError } = require('./scheduler.js');
+const {
+  CACHE_DIR, seriesName, readSeries, writeMeta, appendBars, replaceSeries, dropBarsBefore, listSeries
+} = require('./barstore.js');
+const {
+  calendarForSymbol, lastCompletedSession, isSessionOpen, lastSessionClose,
+  intradayBucket, sessionDate, weekKey, monthKey, addDays
+} = require('./shared/calendar.js');
+const { rescaleDrawings } = require('./drawings.js');
+const { rescaleAlerts } = require('./alerts.js');
+const { assertKnownSymbol } = require('./symbols.js');
+const { parseRatioSymbol, combineRatioBars } = require('./ratios.js');
+const { logger } = require('./logger.js');
+const { timeUpstream, countCacheRequest } = require('./metrics.js');
 
 // Ensure cache directory exists
 (async () => {
@@ -14,141 +26,141 @@ const CACHE_DIR = path.join(process.cwd(), 'cache');
   }
 })();
 
-const TIINGO_TOKEN = process.env.TIINGO_TOKEN;
+function ymd(date) {
+  return date.toISOString().slice(0,10); // YYYY-MM-DD
+}
 
-function cachePath(symbol, timeframe = '1d') {
-  // Security: Sanitize symbol to prevent path traversal attacks
-  const safeSymbol = symbol.toUpperCase().replace(/[^A-Z0-9.-]/g, '');
-  if (!safeSymbol || safeSymbol.length > 10) {
-    throw new Error(`Invalid symbol: ${symbol}`);
-  }
-  return path.join(CACHE_DIR, `${safeSymbol}_${timeframe}.json`);
+// 1H/4H charts are resampled from one cached series of 30-minute bars per symbol,
+// bucketed from the session open (9:30 ET for stocks) instead of UTC midnight
+const INTRADAY_BASE = '30min';
+const INTRADAY_MINUTES = { '1h': 60, '4h': 240 };
+const INTRADAY_HISTORY_DAYS = 90;     // first fetch of a symbol
+const INTRADAY_RETENTION_DAYS = 365;  // older 30-minute bars are dropped from the cache
+const INTRADAY_REFRESH_MINUTES = 15;  // while a session is open
+
+const isIntraday = timeframe => timeframe === INTRADAY_BASE;
+
+// Fetch through the symbol's provider; intraday is optional per provider.
+// Metered providers go through the shared quota scheduler; ctx carries the priority.
+// endDateYMD bounds daily fetches that repair one range of the cache.
+async function fetchBars(provider, symbol, timeframe, startDateYMD, ctx, endDateYMD = null) {
+  const fetch = () => {
+    if (isIntraday(timeframe)) {
+      if (!provider.fetchIntraday) throw new Error(`${provider.name} provider has no intraday data`);
+      return timeUpstream(provider.name, 'intraday', () => provider.fetchIntraday(symbol, startDateYMD));
+    }
+    return timeUpstream(provider.name, 'daily', () => provider.fetchDaily(symbol, startDateYMD, endDateYMD));
+  };
+  return provider.metered ? schedule(fetch, { ctx, label: `${symbol} ${timeframe}` }) : fetch();
 }
 
-async function readCache(symbol, timeframe) {
-  try {
-    const p = cachePath(symbol, timeframe);
-    const raw = await fs.readFile(p, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    return { meta: null, bars: [] };
+// Daily history depth for a fresh cache; covers /api/data's 4000-bar window
+const DAILY_HISTORY_YEARS = 20;
+
+// Fetch the initial window for a symbol: 90 days of intraday bars or 20 years of dailies.
+// Also used to rebuild a daily cache after a split or dividend re-adjusts history.
+async function fetchHistory(provider, symbol, timeframe, ctx) {
+  const startDate = new Date();
+  if (isIntraday(timeframe)) {
+    startDate.setDate(startDate.getDate() - INTRADAY_HISTORY_DAYS);
+  } else {
+    startDate.setFullYear(startDate.getFullYear() - DAILY_HISTORY_YEARS);
   }
+  return fetchBars(provider, symbol, timeframe, ymd(startDate), ctx);
 }
 
-async function writeCache(symbol, timeframe, data) {
-  const p = cachePath(symbol, timeframe);
-  await fs.writeFile(p, JSON.stringify(data), 'utf8');
+// Splits and cash dividends arrive on the ex-date bar (Tiingo's splitFactor/divCash)
+function findCorporateActions(bars) {
+  return bars
+    .filter(b => (b.splitFactor != null && b.splitFactor !== 1) || b.divCash > 0)
+    .map(b => {
+      const date = b.time.slice(0, 10);
+      const splitFactor = b.splitFactor ?? 1;
+      const divCash = b.divCash ?? 0;
+      return {
+        id: splitFactor !== 1 ? `${date}:split:${splitFactor}` : `${date}:div:${divCash}`,
+        date,
+        splitFactor,
+        divCash
+      };
+    });
 }
 
-function ymd(date) {
-  return date.toISOString().slice(0,10); // YYYY-MM-DD
-}
+const adjClose = b => b.adjClose ?? b.close;
 
-// Helper to get the last trading day (skip weekends)
-function getLastTradingDay() {
-  const date = new Date();
-  const dayOfWeek = date.getDay(); // 0 = Sunday, 6 = Saturday
-  
-  if (dayOfWeek === 0) { // Sunday
-    date.setDate(date.getDate() - 2); // Friday
-  } else if (dayOfWeek === 6) { // Saturday  
-    date.setDate(date.getDate() - 1); // Friday
-  } else if (dayOfWeek === 1) { // Monday
-    date.setDate(date.getDate() - 3); // Friday
-  } else {
-    date.setDate(date.getDate() - 1); // Previous day
-  }
-  
-  return ymd(date);
+// The provider re-adjusted bars we already hold (e.g. a CSV export was replaced)
+function historyDrifted(cachedBar, freshBar) {
+  const a = adjClose(cachedBar);
+  const b = adjClose(freshBar);
+  return Number.isFinite(a) && Number.isFinite(b) && a > 0 && Math.abs(b / a - 1) > 1e-4;
 }
 
-async function fetchTiingoDaily(symbol, startDateYMD = null) {
-  // Docs: Tiingo EOD supports ?startDate=YYYY-MM-DD to fetch from a date
-  const base = `https://api.tiingo.com/tiingo/daily/${encodeURIComponent(symbol)}/prices`;
-  const url = startDateYMD
-    ? `${base}?startDate=${startDateYMD}&token=${TIINGO_TOKEN}`
-    : `${base}?token=${TIINGO_TOKEN}`;
-  
-  console.log(`🔄 Fetching ${symbol} daily ${startDateYMD ? `from ${startDateYMD}` : 'full history'} from Tiingo...`);
-  
-  try {
-    const { data } = await axios.get(url, { timeout: 15000 });
-    // Normalize to {time, open, high, low, close, volume}
-    return (data || []).map(row => ({
-      time: row.date,                 // ISO string
-      open: row.open,
-      high: row.high,
-      low: row.low,
-      close: row.close,
-      volume: row.volume ?? null
-    }));
-  } catch (error) {
-    if (error.response?.status === 429) {
-      console.log(`⚠️ Rate limited for ${symbol} - will use existing cache`);
-      return []; // Return empty array to gracefully fallback to cache
+// Refetch the full window after a corporate action and move saved drawings/alerts by
+// the same ratio the adjusted history moved. Throws (leaving the caller's cache alone)
+// if the provider returns nothing.
+async function rebuildAfterAdjustment(provider, symbol, timeframe, oldBars, actions, ctx) {
+  const rebuilt = await fetchHistory(provider, symbol, timeframe, ctx);
+  if (!rebuilt.length) throw new Error('provider returned no bars for rebuild');
+
+  // Compare the newest bar both copies share; fall back to the split ratios
+  const anchor = oldBars.at(-1);
+  const fresh = anchor && rebuilt.find(b => b.time === anchor.time);
+  const factor = fresh && adjClose(anchor) > 0
+    ? adjClose(fresh) / adjClose(anchor)
+    : actions.reduce((f, a) => f / (a.splitFactor || 1), 1);
+
+  if (Math.abs(factor - 1) > 1e-6) {
+    const action = actions.at(-1);
+    try {
+      await rescaleDrawings(symbol, factor, action);
+      await rescaleAlerts(symbol, factor, action);
+    } catch (error) {
+      logger.warn('rescale_failed', `⚠️ Could not rescale drawings/alerts for ${symbol}: ${error.message}`, { symbol, error: error.message });
     }
-    throw error; // Re-throw other errors
   }
+  return { bars: rebuilt, factor };
 }
 
-async function fetchTiingoIntraday(symbol, startDateYMD = null) {
-  // Tiingo intraday API for 4H data
-  const base = `https://api.tiingo.com/iex/${encodeURIComponent(symbol)}/prices`;
-  const params = new URLSearchParams({
-    token: TIINGO_TOKEN,
-    resampleFreq: '4hour',
-    format: 'json'
-  });
-  
-  if (startDateYMD) {
-    params.set('startDate', startDateYMD);
-  }
-  
-  const url = `${base}?${params}`;
-  
-  console.log(`🔄 Fetching ${symbol} 4H ${startDateYMD ? `from ${startDateYMD}` : 'recent'} from Tiingo...`);
-  
-  try {
-    const { data } = await axios.get(url, { timeout: 15000 });
-    // Normalize intraday data to consistent format
-    return (data || []).map(row => ({
-      time: row.date,                 // ISO string
-      open: row.open,
-      high: row.high,
-      low: row.low,
-      close: row.close,
-      volume: row.volume ?? null
-    }));
-  } catch (error) {
-    if (error.response?.status === 429) {
-      console.log(`⚠️ Rate limited for ${symbol} intraday - will use existing cache`);
-      return []; // Return empty array to gracefully fallback to cache
-    }
-    throw error; // Re-throw other errors
-  }
+// Intraday caches refresh every few minutes while the session is open; once a fetch has
+// run after the close they stay fresh until the next session starts
+function intradayFresh(meta, cal, now = new Date()) {
+  if (!meta.last_fetch_at) return false;
+  const fetched = new Date(meta.last_fetch_at);
+  if (now - fetched < INTRADAY_REFRESH_MINUTES * 60 * 1000) return true;
+  return !isSessionOpen(cal, now) && fetched >= lastSessionClose(cal, now);
 }
 
-async function getDailyBarsCached(symbol, days = 600, timeframe = '1d') {
-  if (!TIINGO_TOKEN) throw new Error('Missing TIINGO_TOKEN');
-  
-  // Security: Validate symbol format to prevent path traversal
-  if (!/^[A-Z0-9.-]{1,10}$/i.test(symbol)) {
-    throw new Error(`Invalid symbol format: ${symbol}`);
-  }
+// Drop intraday bars older than the retention window (whole year segments go at once)
+async function applyRetention(provider, symbol, timeframe, bars) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - INTRADAY_RETENTION_DAYS);
+  const cutoffTime = cutoff.toISOString();
+  if (!bars.length || bars[0].time >= cutoffTime) return bars;
+  const dropped = await dropBarsBefore(symbol, timeframe, provider.name, cutoffTime);
+  logger.info('retention', `🧹 Dropped ${dropped} ${symbol} ${timeframe} bars older than ${INTRADAY_RETENTION_DAYS} days`, { symbol, timeframe, dropped });
+  return bars.filter(b => b.time >= cutoffTime);
+}
 
-  // Use weekend-aware dates for daily data, current date for intraday
-  const today = (timeframe === '4h') ? ymd(new Date()) : getLastTradingDay();
-  let { meta, bars } = await readCache(symbol, timeframe);
+// Bring one series up to date and return all of its bars. Callers go through
+// getDailyBarsCached, which serializes and coalesces refreshes per series.
+async function refreshSeries(provider, symbol, timeframe, ctx) {
+  // Daily data is current once the symbol's exchange has published its last session
+  // (NYSE holidays/early closes, 24/7 for crypto); intraday follows the session clock
+  const intraday = isIntraday(timeframe);
+  const cal = calendarForSymbol(symbol);
+  const today = intraday ? null : lastCompletedSession(cal);
+  let { meta, bars } = await readSeries(symbol, timeframe, provider.name);
 
   // Check if we're in a rate limit window
   if (meta && meta.status === 'rate_limited' && meta.rate_limited_until) {
     const retryTime = new Date(meta.rate_limited_until);
     const now = new Date();
     if (now < retryTime) {
-      console.log(`⏳ Still rate limited for ${symbol} ${timeframe} until ${retryTime.toISOString()}`);
+      countCacheRequest('rate_limited');
+      logger.warn('rate_limited', `⏳ Still rate limited for ${symbol} ${timeframe} until ${retryTime.toISOString()}`, { symbol, timeframe, until: meta.rate_limited_until });
       throw new Error(`Rate limited until ${retryTime.toISOString()}`);
     } else {
-      console.log(`🔄 Rate limit window expired for ${symbol} ${timeframe} - attempting fetch`);
+      logger.info('rate_limit_expired', `🔄 Rate limit window expired for ${symbol} ${timeframe} - attempting fetch`, { symbol, timeframe });
       // Clear the rate limit status and try again
       meta = null;
     }
@@ -156,132 +168,223 @@ async function getDailyBarsCached(symbol, days = 600, timeframe = '1d') {
 
   // First-time fetch
   if (!meta) {
-    console.log(`📥 First-time cache miss for ${symbol} ${timeframe} - fetching historical data`);
+    countCacheRequest('miss');
+    logger.info('cache_miss', `📥 First-time cache miss for ${symbol} ${timeframe} - fetching historical data`, { symbol, timeframe });
     
     try {
-      let fetched;
-      if (timeframe === '4h') {
-        // For 4H, get last 30 days of intraday data
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - 30);
-        const startDateYMD = ymd(startDate);
-        fetched = await fetchTiingoIntraday(symbol, startDateYMD);
-      } else {
-        // For daily data, get 5 years of history
-        const startDate = new Date();
-        startDate.setFullYear(startDate.getFullYear() - 5);
-        const startDateYMD = ymd(startDate);
-        fetched = await fetchTiingoDaily(symbol, startDateYMD);
-      }
+      // A ticker the provider doesn't list fails here, before any bars are fetched or cached
+      await assertKnownSymbol(symbol, ctx);
+      const fetched = await fetchHistory(provider, symbol, timeframe, ctx);
       
       // Only create cache if we got actual data
       if (fetched.length > 0) {
-        // Keep only what we care about (last 1500 bars max)
-        const MAX_BARS = 1500;
-        bars = fetched.slice(-MAX_BARS);
+        bars = fetched;
         meta = { 
+          provider: provider.name,
+          adjusted: !intraday, // intraday bars are raw prices only
           last_fetch_at: new Date().toISOString(), 
           last_bar_date: bars.at(-1)?.time ?? null 
         };
-        await writeCache(symbol, timeframe, { meta, bars });
-        console.log(`✅ Cached ${bars.length} bars for ${symbol} ${timeframe} (first-time fetch)`);
+        await replaceSeries(symbol, timeframe, provider.name, { meta, bars });
+        logger.info('cached', `✅ Cached ${bars.length} bars for ${symbol} ${timeframe} (first-time fetch)`, { symbol, timeframe, bars: bars.length });
       } else {
-        console.log(`⚠️ No data received for ${symbol} ${timeframe} - rate limited or no data available`);
-        // Create a placeholder cache with retry timestamp to prevent thundering herd
+        logger.warn('no_data', `⚠️ No data received for ${symbol} ${timeframe} - no data available`, { symbol, timeframe });
+        // Create a placeholder cache with retry timestamp so unknown symbols don't burn quota
         const retryAfter = new Date();
         retryAfter.setMinutes(retryAfter.getMinutes() + 15); // Retry in 15 minutes
         bars = [];
         meta = { 
+          provider: provider.name,
           last_fetch_at: new Date().toISOString(), 
           last_bar_date: null,
           rate_limited_until: retryAfter.toISOString(),
-          status: 'rate_limited'
+          status: 'rate_limited',
+          last_error: { at: new Date().toISOString(), message: 'Provider returned no data' }
         };
-        await writeCache(symbol, timeframe, { meta, bars });
-        console.log(`⏳ Created placeholder cache for ${symbol} ${timeframe} - will retry after ${retryAfter.toISOString()}`);
+        await replaceSeries(symbol, timeframe, provider.name, { meta, bars });
+        logger.warn('placeholder', `⏳ Created placeholder cache for ${symbol} ${timeframe} - will retry after ${retryAfter.toISOString()}`, { symbol, timeframe });
         throw new Error(`Rate limited - please try again later`);
       }
     } catch (error) {
-      console.log(`❌ First-time fetch failed for ${symbol} ${timeframe}: ${error.message}`);
+      logger.error('fetch_failed', `❌ First-time fetch failed for ${symbol} ${timeframe}: ${error.message}`, { symbol, timeframe, error: error.message });
       
-      // If we don't have a cache file yet, create a placeholder to prevent retries
-      if (!meta) {
+      // If we don't have a cache file yet, create a placeholder to prevent retries.
+      // Quota waits are global and tracked by the scheduler, not per symbol, and unknown
+      // symbols are remembered by symbols.js instead of leaving files in the cache.
+      if (!meta && !isQuotaError(error) && error.code !== 'unknown_symbol') {
         const retryAfter = new Date();
         retryAfter.setMinutes(retryAfter.getMinutes() + 15);
         const placeholderMeta = { 
+          provider: provider.name,
           last_fetch_at: new Date().toISOString(), 
           last_bar_date: null,
           rate_limited_until: retryAfter.toISOString(),
-          status: 'rate_limited'
+          status: 'rate_limited',
+          last_error: { at: new Date().toISOString(), message: error.message }
         };
-        await writeCache(symbol, timeframe, { meta: placeholderMeta, bars: [] });
-        console.log(`⏳ Created error placeholder cache for ${symbol} ${timeframe}`);
+        await replaceSeries(symbol, timeframe, provider.name, { meta: placeholderMeta, bars: [] });
+        logger.warn('placeholder', `⏳ Created error placeholder cache for ${symbol} ${timeframe}`, { symbol, timeframe });
       }
       
       throw error; // Let the API endpoint handle the error response
     }
   }
 
-  // If today's bar isn't present, fetch just the delta since last_bar_date+1
-  const haveLatest = meta.last_bar_date && meta.last_bar_date >= today;
+  // If today's bar isn't present, fetch just the delta since last_bar_date
+  const haveLatest = intraday
+    ? intradayFresh(meta, cal)
+    : meta.last_bar_date && meta.last_bar_date >= today;
   if (!haveLatest) {
-    console.log(`🔄 Cache stale for ${symbol} ${timeframe} (last: ${meta.last_bar_date}) - checking for updates`);
-    const start = meta.last_bar_date ? ymd(new Date(Date.parse(meta.last_bar_date) + 24*3600*1000)) : null;
+    countCacheRequest('stale');
+    logger.info('cache_stale', `🔄 Cache stale for ${symbol} ${timeframe} (last: ${meta.last_bar_date}) - checking for updates`, { symbol, timeframe });
+
+    // Daily caches written before adjusted prices were stored only hold raw OHLC;
+    // rebuild them once so adjusted and raw series sit side by side
+    if (!intraday && !meta.adjusted) {
+      try {
+        const rebuilt = await fetchHistory(provider, symbol, timeframe, ctx);
+        if (rebuilt.length) {
+          bars = rebuilt;
+          meta = { ...meta, adjusted: true, last_fetch_at: new Date().toISOString(), last_bar_date: bars.at(-1).time };
+          await replaceSeries(symbol, timeframe, provider.name, { meta, bars });
+          logger.info('rebuilt', `✅ Rebuilt ${symbol} ${timeframe} with adjusted prices (${bars.length} bars)`, { symbol, timeframe });
+        }
+      } catch (error) {
+        logger.warn('rebuild_failed', `⚠️ Adjusted rebuild failed for ${symbol} ${timeframe}, keeping raw cache: ${error.message}`, { symbol, timeframe, error: error.message });
+      }
+    }
+
+    // Overlap by one bar so a re-adjusted history can be spotted against what we hold
+    const start = meta.last_bar_date ? meta.last_bar_date.slice(0, 10) : null;
     
     try {
-      let delta;
-      if (timeframe === '4h') {
-        delta = await fetchTiingoIntraday(symbol, start);
-      } else {
-        delta = await fetchTiingoDaily(symbol, start);
+      const delta = await fetchBars(provider, symbol, timeframe, start, ctx);
+      // The fetch worked, so an error kept from an earlier attempt no longer applies
+      const clearedError = !!meta.last_error;
+      delete meta.last_error;
+      const lastCached = bars.at(-1);
+      const overlap = lastCached && delta.find(d => d.time === lastCached.time);
+      const incoming = lastCached ? delta.filter(d => d.time > lastCached.time) : delta;
+      let actions = findCorporateActions(incoming);
+      if (!actions.length && overlap && historyDrifted(lastCached, overlap)) {
+        const now = new Date().toISOString();
+        actions = [{ id: `${now}:readjust`, date: now.slice(0, 10), splitFactor: 1, divCash: 0 }];
       }
-      
-      if (delta.length) {
-        // Append, ensuring no duplicates
-        const existing = new Set(bars.map(b => b.time));
-        let newBars = 0;
-        for (const d of delta) {
-          if (!existing.has(d.time)) {
-            bars.push(d);
-            newBars++;
-          }
+
+      let rebuilt = false;
+      if (!intraday && actions.length) {
+        const what = actions.map(a => a.id).join(', ');
+        logger.info('corporate_action', `🧾 Corporate action for ${symbol} (${what}) - rebuilding ${timeframe} cache`, { symbol, timeframe });
+        try {
+          const result = await rebuildAfterAdjustment(provider, symbol, timeframe, bars, actions, ctx);
+          const factor = result.factor;
+          bars = result.bars;
+          meta.last_bar_date = bars.at(-1).time;
+          meta.last_fetch_at = new Date().toISOString();
+          meta.corporate_actions = [
+            ...(meta.corporate_actions || []),
+            ...actions.map(a => ({ ...a, factor, rebuilt_at: meta.last_fetch_at }))
+          ].slice(-50);
+          await replaceSeries(symbol, timeframe, provider.name, { meta, bars });
+          logger.info('rebuilt', `✅ Rebuilt ${bars.length} bars for ${symbol} ${timeframe} (adjustment x${factor.toFixed(6)})`, { symbol, timeframe });
+          rebuilt = true; // incoming bars are already part of the rebuilt history
+        } catch (error) {
+          logger.warn('rebuild_failed', `⚠️ Rebuild failed for ${symbol} ${timeframe}, appending to existing cache: ${error.message}`, { symbol, timeframe, error: error.message });
         }
-        // Trim to MAX_BARS
-        const MAX_BARS = 1500;
-        if (bars.length > MAX_BARS) bars = bars.slice(-MAX_BARS);
+      }
+
+      // The last intraday bar may have been cached mid-bar; its fresh copy replaces it
+      const refreshed = intraday && overlap ? [overlap] : [];
+      if (refreshed.length) bars[bars.length - 1] = overlap;
+
+      if (!rebuilt && (incoming.length || refreshed.length)) {
+        // Append, ensuring no duplicates; only the touched year segments are rewritten
+        const existing = new Set(bars.map(b => b.time));
+        const added = incoming.filter(d => !existing.has(d.time));
+        bars.push(...added);
         meta.last_bar_date = bars.at(-1)?.time ?? meta.last_bar_date;
+        meta.provider = provider.name;
         meta.last_fetch_at = new Date().toISOString();
-        await writeCache(symbol, timeframe, { meta, bars });
-        console.log(`✅ Added ${newBars} new bars for ${symbol} ${timeframe} (delta update)`);
-      } else {
-        console.log(`📦 No new bars for ${symbol} ${timeframe} since ${meta.last_bar_date}`);
+        await appendBars(symbol, timeframe, provider.name, [...refreshed, ...added], meta);
+        logger.info('delta', `✅ Added ${added.length} new bars for ${symbol} ${timeframe} (delta update)`, { symbol, timeframe, added: added.length });
+      } else if (!rebuilt) {
+        if (intraday) {
+          // Nothing new, but remember the check so a closed market stays fresh
+          meta.last_fetch_at = new Date().toISOString();
+        }
+        if (intraday || clearedError) await writeMeta(symbol, timeframe, provider.name, meta);
+        logger.info('no_new_bars', `📦 No new bars for ${symbol} ${timeframe} since ${meta.last_bar_date}`, { symbol, timeframe });
       }
+      if (intraday) bars = await applyRetention(provider, symbol, timeframe, bars);
     } catch (error) {
-      console.log(`⚠️ Delta fetch failed for ${symbol} ${timeframe}, using cached data (${bars.length} bars)`);
-      // Continue with existing cached data
+      logger.warn('delta_failed', `⚠️ Delta fetch failed for ${symbol} ${timeframe}, using cached data (${bars.length} bars): ${error.message}`, { symbol, timeframe, error: error.message });
+      // Continue with existing cached data; the status page shows the error until a fetch works
+      meta.last_error = { at: new Date().toISOString(), message: error.message };
+      await writeMeta(symbol, timeframe, provider.name, meta).catch(() => {});
     }
   } else {
-    console.log(`📦 Cache hit for ${symbol} ${timeframe} (fresh data)`);
+    countCacheRequest('hit');
+    logger.info('cache_hit', `📦 Cache hit for ${symbol} ${timeframe} (fresh data)`, { symbol, timeframe });
+  }
+
+  return bars;
+}
+
+// Concurrent requests for the same series share one in-flight refresh
+const inflight = new Map();
+
+async function getDailyBarsCached(symbol, days = 600, timeframe = '1d', { priority = 'batch' } = {}) {
+  // Security: Validate symbol format to prevent path traversal
+  if (!/^[A-Z0-9.-]{1,10}$/i.test(symbol)) {
+    throw new Error(`Invalid symbol format: ${symbol}`);
+  }
+
+  const provider = providerForSymbol(symbol);
+  const key = seriesName(symbol, timeframe, provider.name);
+
+  let entry = inflight.get(key);
+  if (!entry) {
+    const ctx = { priority };
+    const promise = withLock(`series:${key}`, () => refreshSeries(provider, symbol, timeframe, ctx))
+      .finally(() => inflight.delete(key));
+    entry = { ctx, promise };
+    inflight.set(key, entry);
+  } else if (priority === 'interactive') {
+    entry.ctx.priority = 'interactive'; // jump the batch queue for a user waiting on this symbol
   }
+  const bars = await entry.promise;
 
   // Return the trailing window requested
   const n = Math.max(1, Number(days) | 0);
   return { symbol: symbol.toUpperCase(), data: bars.slice(-n) };
 }
 
+// Pick the price basis served to clients. Bars without adjusted fields (intraday,
+// fixture data, CSVs without an Adj Close column) are the same on both bases.
+function selectBasis(bars, adjusted = true) {
+  return bars.map(b => {
+    const useAdj = adjusted && b.adjClose != null;
+    return {
+      time: b.time,
+      open: useAdj ? b.adjOpen : b.open,
+      high: useAdj ? b.adjHigh : b.high,
+      low: useAdj ? b.adjLow : b.low,
+      close: useAdj ? b.adjClose : b.close,
+      volume: (useAdj ? b.adjVolume : b.volume) ?? null
+    };
+  });
+}
+
 function resampleToWeekly(dailyBars) {
   const weeks = new Map();
   
   for (const bar of dailyBars) {
-    const date = new Date(bar.time);
-    // Get Monday of the week
-    const monday = new Date(date);
-    monday.setDate(date.getDate() - date.getDay() + 1);
-    const weekKey = monday.toISOString().slice(0, 10);
+    // Bucket by the Monday of the bar's session week (exchange date, not server local time)
+    const key = weekKey(sessionDate(bar.time));
     
-    if (!weeks.has(weekKey)) {
-      weeks.set(weekKey, {
-        time: weekKey,
+    if (!weeks.has(key)) {
+      weeks.set(key, {
+        time: key,
         open: bar.open,
         high: bar.high,
         low: bar.low,
@@ -289,7 +392,7 @@ function resampleToWeekly(dailyBars) {
         volume: bar.volume || 0
       });
     } else {
-      const week = weeks.get(weekKey);
+      const week = weeks.get(key);
       week.high = Math.max(week.high, bar.high);
       week.low = Math.min(week.low, bar.low);
       week.close = bar.close; // Last close of the week
@@ -304,12 +407,11 @@ function resampleToMonthly(dailyBars) {
   const months = new Map();
   
   for (const bar of dailyBars) {
-    const date = new Date(bar.time);
-    const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-01`;
+    const key = monthKey(sessionDate(bar.time));
     
-    if (!months.has(monthKey)) {
-      months.set(monthKey, {
-        time: monthKey,
+    if (!months.has(key)) {
+      months.set(key, {
+        time: key,
         open: bar.open,
         high: bar.high,
         low: bar.low,
@@ -317,7 +419,7 @@ function resampleToMonthly(dailyBars) {
         volume: bar.volume || 0
       });
     } else {
-      const month = months.get(monthKey);
+      const month = months.get(key);
       month.high = Math.max(month.high, bar.high);
       month.low = Math.min(month.low, bar.low);
       month.close = bar.close; // Last close of the month
@@ -328,34 +430,178 @@ function resampleToMonthly(dailyBars) {
   return Array.from(months.values()).sort((a, b) => a.time.localeCompare(b.time));
 }
 
-async function getBarsCached(symbol, days = 600, timeframe = '1d') {
+// Aggregate 30-minute bars into session-aligned buckets; bars outside the regular
+// session (pre/after market) are left out. The last bucket may still be forming.
+function resampleIntraday(bars, cal, bucketMinutes) {
+  const buckets = new Map();
+
+  for (const bar of bars) {
+    const key = intradayBucket(bar.time, cal, bucketMinutes);
+    if (!key) continue;
+
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        time: key,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume || 0
+      });
+    } else {
+      const b = buckets.get(key);
+      b.high = Math.max(b.high, bar.high);
+      b.low = Math.min(b.low, bar.low);
+      b.close = bar.close;
+      b.volume += bar.volume || 0;
+    }
+  }
+
+  return Array.from(buckets.values()).sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// A ratio symbol (AAPL/SPY) is built from both legs' bars: intraday per bar time, everything
+// else from daily bars (weekly/monthly ratios are resampled from the daily ratio)
+async function getRatioBarsCached(ratio, days, timeframe, { adjusted, priority }) {
+  const tf = timeframe.toLowerCase();
+  const intraday = Boolean(INTRADAY_MINUTES[tf]);
+  const span = tf === '1w' ? days * 7 : tf === '1m' ? days * 30 : days;
+  const [base, quote] = await Promise.all([ratio.base, ratio.quote].map(leg =>
+    getBarsCached(leg, span, intraday ? tf : '1d', { adjusted, priority })));
+  let bars = combineRatioBars(base.data, quote.data, { intraday });
+  if (tf === '1w') bars = resampleToWeekly(bars);
+  else if (tf === '1m') bars = resampleToMonthly(bars);
+  return { symbol: ratio.symbol, adjusted, data: bars.slice(-days) };
+}
+
+async function getBarsCached(symbol, days = 600, timeframe = '1d', { adjusted = true, priority = 'batch' } = {}) {
+  const ratio = parseRatioSymbol(symbol);
+  if (ratio) return getRatioBarsCached(ratio, days, timeframe, { adjusted, priority });
+
   // Handle different timeframes
   switch (timeframe.toLowerCase()) {
-    case '4h':
-      // TEMPORARY FIX: Tiingo 4H API has limited historical data
-      // Fall back to daily data until we implement proper intraday solution
-      console.log(`⚠️ 4H timeframe temporarily using daily data - Tiingo 4H API has limited history`);
-      return await getDailyBarsCached(symbol, days, '1d');
+    case '1h':
+    case '4h': {
+      const bucketMinutes = INTRADAY_MINUTES[timeframe.toLowerCase()];
+      const perBucket = bucketMinutes / 30;
+      const base = await getDailyBarsCached(symbol, days * perBucket + perBucket, INTRADAY_BASE, { priority });
+      const bars = resampleIntraday(selectBasis(base.data, adjusted), calendarForSymbol(symbol), bucketMinutes);
+      return { symbol: base.symbol, adjusted, data: bars.slice(-days) };
+    }
     
-    case '1w':
+    case '1w': {
       // Get daily data and resample to weekly
-      const dailyForWeekly = await getDailyBarsCached(symbol, days * 7, '1d'); // Get more days for weekly resampling
-      const weeklyBars = resampleToWeekly(dailyForWeekly.data);
-      return { symbol: symbol.toUpperCase(), data: weeklyBars.slice(-days) };
+      const dailyForWeekly = await getDailyBarsCached(symbol, days * 7, '1d', { priority }); // Get more days for weekly resampling
+      const weeklyBars = resampleToWeekly(selectBasis(dailyForWeekly.data, adjusted));
+      return { symbol: symbol.toUpperCase(), adjusted, data: weeklyBars.slice(-days) };
+    }
     
-    case '1m':
+    case '1m': {
       // Get daily data and resample to monthly
-      const dailyForMonthly = await getDailyBarsCached(symbol, days * 30, '1d'); // Get more days for monthly resampling
-      const monthlyBars = resampleToMonthly(dailyForMonthly.data);
-      return { symbol: symbol.toUpperCase(), data: monthlyBars.slice(-days) };
+      const dailyForMonthly = await getDailyBarsCached(symbol, days * 30, '1d', { priority }); // Get more days for monthly resampling
+      const monthlyBars = resampleToMonthly(selectBasis(dailyForMonthly.data, adjusted));
+      return { symbol: symbol.toUpperCase(), adjusted, data: monthlyBars.slice(-days) };
+    }
     
     case '1d':
-    default:
-      return await getDailyBarsCached(symbol, days, '1d');
+    default: {
+      const daily = await getDailyBarsCached(symbol, days, '1d', { priority });
+      return { symbol: daily.symbol, adjusted, data: selectBasis(daily.data, adjusted) };
+    }
   }
 }
 
+// Read a symbol's cached series as stored, without refreshing it (quality checks)
+async function readCachedSeries(symbol, timeframe = '1d') {
+  const provider = providerForSymbol(symbol);
+  const { meta, bars } = await readSeries(symbol, timeframe, provider.name);
+  return { provider: provider.name, meta, bars };
+}
+
+// Refetch date ranges ({ from, to } 'YYYY-MM-DD', inclusive) of a daily cache and put the
+// provider's bars in place of what the cache holds there, one bar per session. A range the
+// provider returns nothing for keeps its cached bars. Trading days still without a bar
+// afterwards are recorded in meta.confirmed_gaps, so checks stop reporting them.
+async function refetchDailyRanges(symbol, ranges, { priority = 'interactive' } = {}) {
+  const provider = providerForSymbol(symbol);
+  const key = seriesName(symbol, '1d', provider.name);
+  const cal = calendarForSymbol(symbol);
+  const ctx = { priority };
+
+  return withLock(`series:${key}`, async () => {
+    const { meta, bars } = await readSeries(symbol, '1d', provider.name);
+    if (!meta || !bars.length) throw new Error(`No cached daily bars for ${symbol}`);
+
+    let next = bars;
+    const results = [];
+    for (const { from, to } of ranges) {
+      const inRange = b => {
+        const d = String(b.time).slice(0, 10);
+        return d >= from && d <= to;
+      };
+      const fetched = (await fetchBars(provider, symbol, '1d', from, ctx, to)).filter(inRange);
+      const before = next.filter(inRange).length;
+      if (fetched.length) next = [...next.filter(b => !inRange(b)), ...fetched];
+      results.push({ from, to, cached: before, fetched: fetched.length });
+    }
+
+    // One bar per session date (a fetched copy wins over a differently stamped cached one)
+    const bySession = new Map();
+    for (const b of next) bySession.set(String(b.time).slice(0, 10), b);
+    next = [...bySession.values()];
+
+    const have = new Set(bySession.keys());
+    const gaps = new Set(meta.confirmed_gaps || []);
+    for (const { from, to } of ranges) {
+      for (let d = from; d <= to; d = addDays(d, 1)) {
+        if (cal.isTradingDay(d) && !have.has(d)) gaps.add(d);
+      }
+    }
+
+    const updated = {
+      ...meta,
+      last_fetch_at: new Date().toISOString(),
+      last_bar_date: next.map(b => b.time).sort().at(-1),
+      confirmed_gaps: [...gaps].sort().slice(-1000),
+      repaired_at: new Date().toISOString()
+    };
+    await replaceSeries(symbol, '1d', provider.name, { meta: updated, bars: next });
+    logger.info('repaired', `🩹 Repaired ${symbol} 1d: ${ranges.length} ranges refetched (${results.reduce((n, r) => n + r.fetched, 0)} bars)`,
+                { symbol, timeframe: '1d', ranges: results });
+    return results;
+  });
+}
+
+// Every cached series for the status page: size, freshness (by the same rules the
+// refresh uses), any retry window and the last fetch error
+async function listCacheStatus({ countBars = true, now = new Date() } = {}) {
+  const series = await listSeries({ countBars });
+  return series.map(({ symbol, timeframe, provider, meta, barCount }) => {
+    const cal = calendarForSymbol(symbol);
+    const retrying = meta.rate_limited_until && new Date(meta.rate_limited_until) > now;
+    let state;
+    if (retrying) state = 'rate_limited';
+    else if (!meta.last_bar_date) state = 'empty';
+    else if (isIntraday(timeframe) ? intradayFresh(meta, cal, now) : meta.last_bar_date >= lastCompletedSession(cal, now)) state = 'fresh';
+    else state = 'stale';
+    return {
+      symbol,
+      timeframe,
+      provider,
+      bars: barCount,
+      last_bar_date: meta.last_bar_date ?? null,
+      last_fetch_at: meta.last_fetch_at ?? null,
+      state,
+      rate_limited_until: retrying ? meta.rate_limited_until : null,
+      last_error: meta.last_error ?? null
+    };
+  }).sort((a, b) => a.symbol.localeCompare(b.symbol) || a.timeframe.localeCompare(b.timeframe));
+}
+
 module.exports = {
   getDailyBarsCached,
-  getBarsCached
+  getBarsCached,
+  readCachedSeries,
+  refetchDailyRanges,
+  listCacheStatus
 };
\ No newline at end of file
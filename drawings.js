@@ -0,0 +1,377 @@
+// drawings.js - Server-side persistence for levels, trendlines and the watchlists
+// Each symbol+timeframe lives in its own file under ./data/drawings/ with a version
+// counter; writes must name the version they were based on so concurrent editors
+// (two tabs, two machines) get a conflict instead of silently overwriting each other.
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR, readJson, writeJson, withLock } = require('./store.js');
+const { normalizeChartSymbol, symbolFileName } = require('./ratios.js');
+const { normalizeRule } = require('./shared/indicators.js');
+
+const DRAWINGS_DIR = path.join(DATA_DIR, 'drawings');
+const WATCHLIST_FILE = path.join(DATA_DIR, 'watchlist.json');
+
+const DEFAULT_WATCHLIST = ['AAPL', 'META', 'TSLA', 'GOOGL', 'MSFT'];
+const MAX_WATCHLISTS = 50;
+const MAX_NAME_LENGTH = 40;
+
+// Tickers and ratio symbols (AAPL/SPY, stored as AAPL~SPY_1D.json)
+function normalizeSymbol(symbol) {
+  const safeSymbol = normalizeChartSymbol(symbol);
+  if (!safeSymbol) {
+    throw new Error(`Invalid symbol: ${symbol}`);
+  }
+  return safeSymbol;
+}
+
+function normalizeTimeframe(timeframe) {
+  const tf = String(timeframe || '').toUpperCase();
+  if (!/^[0-9]{1,2}[HDWM]$/.test(tf)) {
+    throw new Error(`Invalid timeframe: ${timeframe}`);
+  }
+  return tf;
+}
+
+function drawingsPath(symbol, timeframe) {
+  return path.join(DRAWINGS_DIR, `${symbolFileName(symbol)}_${timeframe}.json`);
+}
+
+function conflictError(current) {
+  const err = new Error(`Version conflict (server is at v${current.version})`);
+  err.code = 'conflict';
+  err.current = current;
+  return err;
+}
+
+// Anchors every level/trendline must have, as finite numbers
+const POSITION_FIELDS = { levels: ['price'], trendlines: ['startTime', 'startPrice', 'endTime', 'endPrice'] };
+// Shapes drawn by the chart's drawing tools; plain trendlines have no kind
+const SHAPE_KINDS = ['hray', 'ray', 'channel', 'fib', 'zone', 'note'];
+const isColor = value => typeof value === 'string' && /^#[0-9a-f]{3,8}$/i.test(value);
+
+// Drawings are stored as the client sends them, minus UI-only state like selection.
+// The fields every browser renders (anchors, kind, colour) are checked, since a document
+// saved by one user is drawn on everyone else's chart.
+function sanitizeItems(items, label) {
+  if (!Array.isArray(items)) throw new Error(`${label} must be an array`);
+  const name = label.replace(/s$/, '');
+  return items.map(item => {
+    if (!item || typeof item !== 'object' || item.id == null) {
+      throw new Error(`Each ${name} needs an id`);
+    }
+    const { selected, ...rest } = item;
+    for (const key of POSITION_FIELDS[label] || []) {
+      if (typeof rest[key] !== 'number' || !Number.isFinite(rest[key])) throw new Error(`Invalid ${name} ${key}: ${rest[key]}`);
+    }
+    if (rest.kind != null && !SHAPE_KINDS.includes(rest.kind)) throw new Error(`Unknown ${name} kind: ${rest.kind}`);
+    if (rest.offset != null && !Number.isFinite(rest.offset)) throw new Error(`Invalid ${name} offset: ${rest.offset}`);
+    if (rest.color != null && !isColor(rest.color)) throw new Error(`Invalid ${name} color: ${rest.color}`);
+    // A signal rule (shared/indicators.js evaluateRule) is stored with its defaults filled in
+    if (rest.rule != null) rest.rule = normalizeRule(rest.rule);
+    return { ...rest, id: String(item.id) };
+  });
+}
+
+function emptyDrawings(symbol, timeframe) {
+  return { symbol, timeframe, version: 0, updated_at: null, levels: [], trendlines: [], adjustments: [] };
+}
+
+async function getDrawings(symbol, timeframe) {
+  const sym = normalizeSymbol(symbol);
+  const tf = normalizeTimeframe(timeframe);
+  return readJson(drawingsPath(sym, tf), emptyDrawings(sym, tf));
+}
+
+// Timeframes from finest to coarsest. Drawings flagged showLower also apply to every
+// finer timeframe of the symbol, under ids prefixed with the timeframe they came from.
+const TIMEFRAME_ORDER = ['1H', '4H', '1D', '1W', '1M'];
+
+// Levels/trendlines that apply to a chart: its own plus inherited higher-timeframe ones,
+// labelled the way the chart shows them
+async function getChartDrawings(symbol, timeframe) {
+  const doc = await getDrawings(symbol, timeframe);
+  const rank = TIMEFRAME_ORDER.indexOf(doc.timeframe);
+  const levels = [...doc.levels];
+  const trendlines = [...doc.trendlines];
+  for (const tf of rank < 0 ? [] : TIMEFRAME_ORDER.slice(rank + 1)) {
+    const higher = await getDrawings(doc.symbol, tf);
+    const inherit = (d, label) => ({ ...d, id: `${tf}:${d.id}`, sourceId: d.id, sourceTf: tf, label: d.label || label });
+    levels.push(...higher.levels.filter(l => l.showLower).map(l => inherit(l, `${tf} ${(+l.price).toFixed(2)}`)));
+    trendlines.push(...higher.trendlines.filter(t => t.showLower).map(t => inherit(t, `${tf} ${t.kind || 'trend'}`)));
+  }
+  return { ...doc, levels, trendlines };
+}
+
+async function saveDrawings(symbol, timeframe, { baseVersion, levels, trendlines } = {}) {
+  const sym = normalizeSymbol(symbol);
+  const tf = normalizeTimeframe(timeframe);
+  const cleanLevels = sanitizeItems(levels || [], 'levels');
+  const cleanTrendlines = sanitizeItems(trendlines || [], 'trendlines');
+  const file = drawingsPath(sym, tf);
+
+  return withLock(file, async () => {
+    const current = await readJson(file, emptyDrawings(sym, tf));
+    if (Number(baseVersion) !== current.version) throw conflictError(current);
+
+    const doc = {
+      symbol: sym,
+      timeframe: tf,
+      version: current.version + 1,
+      updated_at: new Date().toISOString(),
+      levels: cleanLevels,
+      trendlines: cleanTrendlines,
+      adjustments: current.adjustments || []
+    };
+    await writeJson(file, doc);
+    return doc;
+  });
+}
+
+async function listDrawings() {
+  let files = [];
+  try {
+    files = await fs.readdir(DRAWINGS_DIR);
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const f of files.filter(f => f.endsWith('.json'))) {
+    const doc = await readJson(path.join(DRAWINGS_DIR, f), null);
+    if (!doc) continue;
+    out.push({
+      symbol: doc.symbol,
+      timeframe: doc.timeframe,
+      version: doc.version,
+      updated_at: doc.updated_at,
+      levels: doc.levels.length,
+      trendlines: doc.trendlines.length
+    });
+  }
+  return out;
+}
+
+// Corporate actions rescale history, so drawings made against the old prices are
+// multiplied by the same factor. Each action is applied once and recorded on the doc
+// (clients use `adjustments` to tell the user their lines moved).
+async function rescaleDrawings(symbol, factor, action) {
+  const sym = normalizeSymbol(symbol);
+  if (!Number.isFinite(factor) || factor <= 0) throw new Error(`Invalid rescale factor: ${factor}`);
+
+  let files = [];
+  try {
+    files = await fs.readdir(DRAWINGS_DIR);
+  } catch {
+    return [];
+  }
+
+  const scale = v => (Number.isFinite(v) ? +(v * factor).toFixed(6) : v);
+  const results = [];
+  for (const f of files.filter(f => f.startsWith(`${sym}_`) && f.endsWith('.json'))) {
+    const file = path.join(DRAWINGS_DIR, f);
+    const doc = await withLock(file, async () => {
+      const current = await readJson(file, null);
+      if (!current || current.symbol !== sym) return null;
+      const applied = current.adjustments || [];
+      if (applied.some(a => a.id === action.id)) return null;
+
+      const next = {
+        ...current,
+        version: current.version + 1,
+        updated_at: new Date().toISOString(),
+        levels: current.levels.map(L => ({ ...L, price: scale(L.price) })),
+        trendlines: current.trendlines.map(t => ({
+          ...t,
+          startPrice: scale(t.startPrice),
+          endPrice: scale(t.endPrice),
+          ...(t.offset != null && { offset: scale(t.offset) }) // channel width
+        })),
+        adjustments: [...applied, { ...action, factor, applied_at: new Date().toISOString() }]
+      };
+      await writeJson(file, next);
+      return next;
+    });
+    if (doc) results.push(doc);
+  }
+
+  if (results.length) {
+    console.log(`📐 Rescaled ${sym} drawings x${factor.toFixed(6)} on ${results.length} timeframe(s) (${action.id})`);
+  }
+  return results;
+}
+
+// Named watchlists, each split into sections (an unnamed first section holds symbols
+// that aren't filed under a heading):
+//   { version, updated_at, lists: [{ id, name, sections: [{ name, symbols }] }] }
+// The doc returned to callers adds `symbols`: every listed symbol once, in list order,
+// which is what the screener and the nightly warm-up use.
+const defaultList = symbols => ({ id: 'core', name: 'Core', sections: [{ name: '', symbols }] });
+
+function cleanName(name, label) {
+  const clean = String(name ?? '').trim();
+  if (clean.length > MAX_NAME_LENGTH) throw new Error(`${label} must be at most ${MAX_NAME_LENGTH} characters`);
+  return clean;
+}
+
+// Validate lists; a symbol appears at most once per list (its first section wins)
+function normalizeWatchlists(lists) {
+  if (!Array.isArray(lists) || !lists.length) throw new Error('lists must be a non-empty array');
+  if (lists.length > MAX_WATCHLISTS) throw new Error(`At most ${MAX_WATCHLISTS} watchlists`);
+  const ids = new Set();
+  return lists.map(list => {
+    const id = String(list?.id || '');
+    if (!/^[A-Za-z0-9_-]{1,40}$/.test(id)) throw new Error(`Invalid watchlist id: ${list?.id}`);
+    if (ids.has(id)) throw new Error(`Duplicate watchlist id: ${id}`);
+    ids.add(id);
+    const name = cleanName(list.name, 'Watchlist names');
+    if (!name) throw new Error(`Watchlist ${id} needs a name`);
+    if (!Array.isArray(list.sections) || !list.sections.length) throw new Error(`Watchlist ${name} needs sections`);
+    const seen = new Set();
+    const sections = list.sections.map(section => {
+      if (!Array.isArray(section?.symbols)) throw new Error(`Sections of ${name} need a symbols array`);
+      const symbols = section.symbols.map(normalizeSymbol).filter(s => !seen.has(s) && seen.add(s));
+      return { name: cleanName(section.name, 'Section names'), symbols };
+    });
+    return { id, name, sections };
+  });
+}
+
+const listSymbols = list => list.sections.flatMap(s => s.symbols);
+const withSymbols = doc => ({ ...doc, symbols: [...new Set(doc.lists.flatMap(listSymbols))] });
+
+// Files saved before named lists held one flat `symbols` array; it becomes the Core list
+async function readWatchlists() {
+  const doc = await readJson(WATCHLIST_FILE, { version: 0, updated_at: null, lists: [defaultList(DEFAULT_WATCHLIST)] });
+  if (doc.lists) return doc;
+  return { version: doc.version, updated_at: doc.updated_at, lists: [defaultList(doc.symbols || [])] };
+}
+
+async function getWatchlist() {
+  return withSymbols(await readWatchlists());
+}
+
+async function saveWatchlist({ baseVersion, lists } = {}) {
+  const clean = normalizeWatchlists(lists);
+
+  return withLock(WATCHLIST_FILE, async () => {
+    const current = await getWatchlist();
+    if (Number(baseVersion) !== current.version) throw conflictError(current);
+
+    const doc = { version: current.version + 1, updated_at: new Date().toISOString(), lists: clean };
+    await writeJson(WATCHLIST_FILE, doc);
+    return withSymbols(doc);
+  });
+}
+
+// Union-by-id merge used for the one-time browser import: server copies win on id clashes
+function unionById(serverItems, importedItems) {
+  const ids = new Set(serverItems.map(i => i.id));
+  return [...serverItems, ...importedItems.filter(i => !ids.has(i.id))];
+}
+
+// Write one imported drawing set. Merging keeps everything already on the server
+// (server copies win on id clashes); replace makes the server copy match the import.
+// The version only moves when something changed, so synced clients are not disturbed.
+async function importDrawingSet(entry, { replace = false } = {}) {
+  const sym = normalizeSymbol(entry.symbol);
+  const tf = normalizeTimeframe(entry.timeframe);
+  const levels = sanitizeItems(entry.levels || [], 'levels');
+  const trendlines = sanitizeItems(entry.trendlines || [], 'trendlines');
+  const file = drawingsPath(sym, tf);
+
+  return withLock(file, async () => {
+    const current = await readJson(file, emptyDrawings(sym, tf));
+    const merged = {
+      symbol: sym,
+      timeframe: tf,
+      version: current.version,
+      updated_at: current.updated_at,
+      levels: replace ? levels : unionById(current.levels, levels),
+      trendlines: replace ? trendlines : unionById(current.trendlines, trendlines),
+      adjustments: current.adjustments || []
+    };
+    const changed = JSON.stringify([merged.levels, merged.trendlines]) !==
+                    JSON.stringify([current.levels, current.trendlines]);
+    if (!changed) return current;
+    merged.version = current.version + 1;
+    merged.updated_at = new Date().toISOString();
+    await writeJson(file, merged);
+    return merged;
+  });
+}
+
+// Merge imported watchlists in (lists with the same id gain the missing symbols, section
+// by section; new lists are appended), or with replace swap every list for the imported ones
+async function importWatchlist(lists, { replace = false } = {}) {
+  const imported = normalizeWatchlists(lists);
+  return withLock(WATCHLIST_FILE, async () => {
+    const current = await readWatchlists();
+    // A server that has never been saved to just adopts the imported lists
+    let next = imported;
+    if (!replace && current.version > 0) {
+      next = current.lists.map(list => {
+        const incoming = imported.find(l => l.id === list.id);
+        if (!incoming) return list;
+        const have = new Set(listSymbols(list));
+        const sections = list.sections.map(s => ({ ...s, symbols: [...s.symbols] }));
+        for (const section of incoming.sections) {
+          const added = section.symbols.filter(sym => !have.has(sym));
+          if (!added.length) continue;
+          const target = sections.find(s => s.name === section.name);
+          if (target) target.symbols.push(...added);
+          else sections.push({ name: section.name, symbols: added });
+        }
+        return { ...list, sections };
+      });
+      next.push(...imported.filter(l => !current.lists.some(c => c.id === l.id)));
+    }
+    if (current.version > 0 && JSON.stringify(next) === JSON.stringify(current.lists)) return withSymbols(current);
+    const doc = { version: current.version + 1, updated_at: new Date().toISOString(), lists: next };
+    await writeJson(WATCHLIST_FILE, doc);
+    return withSymbols(doc);
+  });
+}
+
+// One-time import of a browser's localStorage drawings and watchlists (`watchlist` is
+// the flat symbol array sent by pages from before named lists).
+// Never drops anything already on the server, so importing from several browsers is safe.
+// Everything is validated before anything is written, so a rejected import leaves the
+// server as it was and the client can simply retry.
+async function importLocalData({ drawings = [], watchlists = null, watchlist = null } = {}) {
+  if (!Array.isArray(drawings)) throw new Error('drawings must be an array');
+  const sets = drawings.map(entry => ({
+    symbol: normalizeSymbol(entry?.symbol),
+    timeframe: normalizeTimeframe(entry?.timeframe),
+    levels: sanitizeItems(entry.levels || [], 'levels'),
+    trendlines: sanitizeItems(entry.trendlines || [], 'trendlines')
+  }));
+  let lists = null;
+  if (Array.isArray(watchlists) && watchlists.length) lists = normalizeWatchlists(watchlists);
+  else if (Array.isArray(watchlist) && watchlist.length) lists = normalizeWatchlists([defaultList(watchlist)]);
+
+  const results = [];
+  for (const entry of sets) {
+    results.push(await importDrawingSet(entry));
+  }
+  const watchlistDoc = lists ? await importWatchlist(lists) : await getWatchlist();
+
+  console.log(`📥 Imported browser data: ${results.length} drawing sets, watchlist v${watchlistDoc.version}`);
+  return { drawings: results, watchlist: watchlistDoc };
+}
+
+module.exports = {
+  normalizeSymbol,
+  normalizeTimeframe,
+  sanitizeItems,
+  isColor,
+  normalizeWatchlists,
+  getDrawings,
+  getChartDrawings,
+  saveDrawings,
+  listDrawings,
+  rescaleDrawings,
+  getWatchlist,
+  saveWatchlist,
+  importDrawingSet,
+  importWatchlist,
+  importLocalData
+};
@@ -0,0 +1,117 @@
+// logger.js - Structured logs for the cache, scheduler, providers, alerts and warm-up runs
+// Every entry is one JSON line in ./data/logs/eod-YYYY-MM-DD.jsonl:
+//
+//   { time, level, event, process, msg, symbol?, timeframe?, ...fields }
+//
+// so runs can be searched after the fact (/api/status/logs, or grep/jq on the files).
+// The console keeps the usual emoji lines; LOG_FORMAT=json prints the JSON entries there
+// instead, for log shippers. The server and auto-update append to the same daily file.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store.js');
+
+const LOG_DIR = path.join(DATA_DIR, 'logs');
+const LEVELS = ['info', 'warn', 'error'];
+const MAX_SEARCH_RESULTS = 1000;
+
+const processName = path.basename(require.main?.filename || 'node', '.js');
+const retentionDays = () => parseInt(process.env.LOG_RETENTION_DAYS || '14', 10);
+const logFile = day => path.join(LOG_DIR, `eod-${day}.jsonl`);
+
+// Delete files past the retention window, once per day and process
+let prunedDay = null;
+function prune(day) {
+  if (prunedDay === day) return;
+  prunedDay = day;
+  const cutoff = new Date(Date.parse(day) - retentionDays() * 86400000).toISOString().slice(0, 10);
+  try {
+    for (const f of fs.readdirSync(LOG_DIR)) {
+      const m = /^eod-(\d{4}-\d{2}-\d{2})\.jsonl$/.exec(f);
+      if (m && m[1] < cutoff) fs.rmSync(path.join(LOG_DIR, f), { force: true });
+    }
+  } catch {
+    // nothing to prune yet
+  }
+}
+
+// Appended synchronously: auto-update exits right after its last line, and one short
+// O_APPEND write per entry keeps lines from the two processes whole
+function write(level, event, msg, fields = {}) {
+  const time = new Date().toISOString();
+  const entry = { time, level, event, process: processName, msg, ...fields };
+  const line = JSON.stringify(entry);
+
+  if (process.env.LOG_FORMAT === 'json') console.log(line);
+  else if (level === 'error') console.error(msg);
+  else console.log(msg);
+
+  try {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+    prune(time.slice(0, 10));
+    fs.appendFileSync(logFile(time.slice(0, 10)), line + '\n');
+  } catch {
+    // a full or read-only disk must not take the caller down with it
+  }
+}
+
+const logger = {
+  info: (event, msg, fields) => write('info', event, msg, fields),
+  warn: (event, msg, fields) => write('warn', event, msg, fields),
+  error: (event, msg, fields) => write('error', event, msg, fields)
+};
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  return err;
+}
+
+// Newest entries first. level is the minimum level; q matches the message and any field
+// value (case-insensitive); since is an ISO date or datetime.
+async function searchLogs({ q, level, event, symbol, since, limit = 200 } = {}) {
+  if (level != null && !LEVELS.includes(level)) throw invalidRequest(`Invalid level: ${level}`);
+  const max = Number(limit);
+  if (!Number.isInteger(max) || max < 1 || max > MAX_SEARCH_RESULTS) {
+    throw invalidRequest(`limit must be a whole number between 1 and ${MAX_SEARCH_RESULTS}`);
+  }
+  if (since != null && Number.isNaN(Date.parse(since))) throw invalidRequest(`Invalid since: ${since}`);
+  const sinceIso = since != null ? new Date(since).toISOString() : null;
+  const minLevel = level ? LEVELS.indexOf(level) : 0;
+  const needle = q ? String(q).toLowerCase() : null;
+  const sym = symbol ? String(symbol).toUpperCase() : null;
+
+  let files = [];
+  try {
+    files = (await fs.promises.readdir(LOG_DIR)).filter(f => /^eod-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f)).sort().reverse();
+  } catch {
+    return { entries: [], truncated: false };
+  }
+
+  const entries = [];
+  for (const f of files) {
+    if (sinceIso && f.slice(4, 14) < sinceIso.slice(0, 10)) break;
+    const lines = (await fs.promises.readFile(path.join(LOG_DIR, f), 'utf8')).split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i]) continue;
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        continue; // a line cut short by a crash
+      }
+      if (sinceIso && entry.time < sinceIso) continue;
+      if (LEVELS.indexOf(entry.level) < minLevel) continue;
+      if (event && entry.event !== event) continue;
+      if (sym && entry.symbol !== sym) continue;
+      if (needle && !lines[i].toLowerCase().includes(needle)) continue;
+      entries.push(entry);
+      if (entries.length > max) return { entries: entries.slice(0, max), truncated: true };
+    }
+  }
+  return { entries, truncated: false };
+}
+
+module.exports = {
+  logger,
+  searchLogs
+};
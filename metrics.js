@@ -0,0 +1,120 @@
+// metrics.js - In-process counters and histograms, served at /metrics in the Prometheus
+// text format. Counts are for this process (the server); auto-update runs leave their
+// record in data/ instead (see status.js).
+const metrics = [];
+
+const labelKey = labels => JSON.stringify(Object.entries(labels || {}).sort());
+const escape = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatLabels = labels => {
+  const entries = Object.entries(labels || {});
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}` : '';
+};
+
+function counter(name, help) {
+  const values = new Map();
+  const metric = {
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labels);
+      const cur = values.get(key);
+      values.set(key, { labels, value: (cur ? cur.value : 0) + n });
+    },
+    lines: async () => [...values.values()].map(v => `${name}${formatLabels(v.labels)} ${v.value}`)
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const values = new Map();
+  const metric = {
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const key = labelKey(labels);
+      if (!values.has(key)) values.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const h = values.get(key);
+      buckets.forEach((b, i) => { if (value <= b) h.counts[i]++; });
+      h.sum += value;
+      h.count++;
+    },
+    lines: async () => [...values.values()].flatMap(h => [
+      ...buckets.map((b, i) => `${name}_bucket${formatLabels({ ...h.labels, le: b })} ${h.counts[i]}`),
+      `${name}_bucket${formatLabels({ ...h.labels, le: '+Inf' })} ${h.count}`,
+      `${name}_sum${formatLabels(h.labels)} ${+h.sum.toFixed(6)}`,
+      `${name}_count${formatLabels(h.labels)} ${h.count}`
+    ])
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// A gauge read when /metrics is scraped: collect() returns [{ labels, value }]
+function gauge(name, help, collect) {
+  const metric = {
+    name,
+    help,
+    type: 'gauge',
+    lines: async () => (await collect()).map(v => `${name}${formatLabels(v.labels)} ${v.value}`)
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+const upstreamRequests = counter('eod_upstream_requests_total', 'Upstream provider requests by provider, kind and outcome');
+const upstreamDuration = histogram('eod_upstream_request_duration_seconds', 'Upstream provider request latency',
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+const cacheRequests = counter('eod_cache_requests_total', 'Series refreshes by result: hit (fresh), stale (delta fetch), miss (first fetch) or rate_limited');
+const httpRequests = counter('eod_http_requests_total', 'HTTP requests by method, route and status');
+const httpDuration = histogram('eod_http_request_duration_seconds', 'HTTP request latency by route',
+  [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 10]);
+
+// Time one upstream call (bars, metadata or search). 429s count as rate_limited.
+async function timeUpstream(provider, kind, fn) {
+  const start = process.hrtime.bigint();
+  let outcome = 'ok';
+  try {
+    return await fn();
+  } catch (error) {
+    outcome = error?.response?.status === 429 ? 'rate_limited' : 'error';
+    throw error;
+  } finally {
+    upstreamRequests.inc({ provider, kind, outcome });
+    upstreamDuration.observe({ provider, kind }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+function countCacheRequest(result) {
+  cacheRequests.inc({ result });
+}
+
+// Express middleware; routes are labelled by their pattern so /api/drawings/:symbol/:timeframe is one series
+function httpMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const pattern = req.route && [req.route.path].flat().join('|');
+    const route = pattern ? req.baseUrl + pattern : res.statusCode === 404 ? 'unmatched' : 'static';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ route }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+}
+
+async function renderMetrics() {
+  const out = [];
+  for (const m of metrics) {
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...await m.lines());
+  }
+  return out.join('\n') + '\n';
+}
+
+module.exports = {
+  gauge,
+  timeUpstream,
+  countCacheRequest,
+  httpMetrics,
+  renderMetrics
+};
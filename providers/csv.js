@@ -0,0 +1,163 @@
+// providers/csv.js - Local OHLCV files (Stooq, Yahoo, TradingView or broker exports)
+// Drop one file per symbol into CSV_DATA_DIR (default ./data/csv), e.g. AAPL.csv or aapl.us.txt.
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../logger.js');
+
+function csvDir() {
+  return process.env.CSV_DATA_DIR || path.join(process.cwd(), 'data', 'csv');
+}
+
+// Header aliases seen in common exports (Stooq wraps names in <>, Yahoo adds "Adj Close")
+const COLUMN_ALIASES = {
+  date: ['date', 'time', 'timestamp', 'datetime', 'day'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c', 'last', 'price'],
+  volume: ['volume', 'vol', 'v'],
+  adjClose: ['adj close', 'adj_close', 'adjclose', 'adjusted close', 'adjusted_close']
+};
+
+// Symbols can contain dots (BRK.B), so match on the name minus extension and Stooq's market suffix
+function fileSymbol(fileName) {
+  return fileName
+    .replace(/\.(csv|txt)$/i, '')
+    .replace(/\.(us|uk|de|jp|hk)$/i, '')
+    .toUpperCase();
+}
+
+async function findFile(symbol) {
+  let files;
+  try {
+    files = await fs.readdir(csvDir());
+  } catch {
+    return null;
+  }
+  const match = files.find(f => /\.(csv|txt)$/i.test(f) && fileSymbol(f) === symbol.toUpperCase());
+  return match ? path.join(csvDir(), match) : null;
+}
+
+function detectDelimiter(headerLine) {
+  const counts = [',', ';', '\t'].map(d => [d, headerLine.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Accepts YYYYMMDD, YYYY-MM-DD, MM/DD/YYYY, ISO datetimes and epoch seconds/ms.
+// Daily bars are keyed at midnight UTC to match Tiingo's format.
+function parseDate(raw) {
+  const v = String(raw).trim().replace(/^"|"$/g, '');
+  let m;
+  if ((m = /^(\d{4})(\d{2})(\d{2})$/.exec(v))) return `${m[1]}-${m[2]}-${m[3]}`;
+  if ((m = /^(\d{4})-(\d{2})-(\d{2})/.exec(v))) return `${m[1]}-${m[2]}-${m[3]}`;
+  if ((m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(v))) {
+    return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  }
+  if (/^\d{9,13}$/.test(v)) {
+    const ms = v.length > 10 ? Number(v) : Number(v) * 1000;
+    return new Date(ms).toISOString().slice(0, 10);
+  }
+  const d = new Date(v);
+  return isNaN(d) ? null : d.toISOString().slice(0, 10);
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) return [];
+
+  const delimiter = detectDelimiter(lines[0]);
+  const header = lines[0].split(delimiter).map(h => h.trim().replace(/^["<]+|[">]+$/g, '').toLowerCase());
+  const col = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    col[field] = header.findIndex(h => aliases.includes(h));
+  }
+  for (const field of ['date', 'open', 'high', 'low', 'close']) {
+    if (col[field] < 0) throw new Error(`CSV is missing a ${field} column (header: ${lines[0]})`);
+  }
+
+  const byDate = new Map();
+  for (const line of lines.slice(1)) {
+    const cells = line.split(delimiter);
+    const date = parseDate(cells[col.date]);
+    const num = i => (i < 0 ? null : parseFloat(String(cells[i]).replace(/"/g, '')));
+    const bar = {
+      time: date ? `${date}T00:00:00.000Z` : null,
+      open: num(col.open),
+      high: num(col.high),
+      low: num(col.low),
+      close: num(col.close),
+      volume: col.volume < 0 ? null : (num(col.volume) ?? null)
+    };
+    if (!bar.time || ![bar.open, bar.high, bar.low, bar.close].every(Number.isFinite)) continue;
+    // Yahoo-style exports only adjust the close; scale O/H/L by the same ratio
+    const adjClose = num(col.adjClose);
+    if (Number.isFinite(adjClose) && bar.close) {
+      const ratio = adjClose / bar.close;
+      Object.assign(bar, {
+        adjOpen: bar.open * ratio,
+        adjHigh: bar.high * ratio,
+        adjLow: bar.low * ratio,
+        adjClose,
+        adjVolume: bar.volume
+      });
+    }
+    byDate.set(bar.time, bar); // later rows win on duplicate dates
+  }
+
+  return [...byDate.values()].sort((a, b) => a.time.localeCompare(b.time));
+}
+
+async function fetchDaily(symbol, startDateYMD = null, endDateYMD = null) {
+  const file = await findFile(symbol);
+  if (!file) throw new Error(`No CSV file for ${symbol} in ${csvDir()}`);
+
+  logger.info('upstream_fetch', `📄 Reading ${symbol} daily from ${path.basename(file)}...`,
+              { provider: 'csv', symbol, timeframe: '1d', start: startDateYMD, end: endDateYMD, file: path.basename(file) });
+  const bars = parseCsv(await fs.readFile(file, 'utf8'));
+  return bars.filter(b =>
+    (!startDateYMD || b.time.slice(0, 10) >= startDateYMD) && (!endDateYMD || b.time.slice(0, 10) <= endDateYMD));
+}
+
+// A symbol is known when it has a file; its dates are the file's first and last rows
+async function lookupSymbol(symbol) {
+  const file = await findFile(symbol);
+  if (!file) return null;
+  const bars = parseCsv(await fs.readFile(file, 'utf8'));
+  return {
+    symbol: symbol.toUpperCase(),
+    name: null,
+    exchange: null,
+    asset_type: null,
+    currency: null,
+    first_date: bars[0]?.time.slice(0, 10) ?? null,
+    last_date: bars.at(-1)?.time.slice(0, 10) ?? null
+  };
+}
+
+async function searchSymbols(query, limit = 10) {
+  let files;
+  try {
+    files = await fs.readdir(csvDir());
+  } catch {
+    return [];
+  }
+  const q = query.toUpperCase();
+  return [...new Set(files.filter(f => /\.(csv|txt)$/i.test(f)).map(fileSymbol))]
+    .filter(symbol => symbol.startsWith(q))
+    .sort()
+    .slice(0, limit)
+    .map(symbol => ({ symbol, name: null, asset_type: null }));
+}
+
+function checkConfig() {
+  return [];
+}
+
+module.exports = {
+  name: 'csv',
+  fetchDaily,
+  lookupSymbol,
+  searchSymbols,
+  checkConfig,
+  parseCsv
+};
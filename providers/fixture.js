@@ -0,0 +1,146 @@
+// providers/fixture.js - Deterministic synthetic daily and 30-minute bars for offline development
+// The same symbol always produces the same series: prices come from a PRNG seeded by the
+// symbol name and walk forward from a fixed start date, so history never shifts between runs.
+// Intraday bars are carved out of the daily bars, so 1H/4H charts agree with the daily chart.
+const { calendarForSymbol, wallTimeToDate, CRYPTO } = require('../shared/calendar.js');
+const { logger } = require('../logger.js');
+
+const FIXTURE_START = '2010-01-04';
+
+// FNV-1a string hash -> 32-bit seed
+function hashSymbol(symbol) {
+  let h = 2166136261;
+  for (const ch of symbol.toUpperCase()) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 PRNG
+function rng(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Last date to generate; FIXTURE_END_DATE pins it for fully reproducible runs
+function endDate() {
+  return process.env.FIXTURE_END_DATE || new Date().toISOString().slice(0, 10);
+}
+
+function generate(symbol) {
+  const seed = hashSymbol(symbol);
+  const rand = rng(seed);
+  const end = endDate();
+  const bars = [];
+
+  let close = 20 + (seed % 480);          // starting price between 20 and 500
+  const drift = ((seed >>> 9) % 7 - 2) / 10000; // small per-symbol trend
+  const date = new Date(`${FIXTURE_START}T00:00:00.000Z`);
+  const cal = calendarForSymbol(symbol); // NYSE sessions, or every day for crypto
+
+  while (date.toISOString().slice(0, 10) <= end) {
+    if (cal.isTradingDay(date.toISOString().slice(0, 10))) {
+      const open = close * (1 + (rand() - 0.5) * 0.01);
+      close = Math.max(0.5, open * (1 + drift + (rand() - 0.5) * 0.04));
+      const high = Math.max(open, close) * (1 + rand() * 0.012);
+      const low = Math.min(open, close) * (1 - rand() * 0.012);
+      bars.push({
+        time: date.toISOString(),
+        open: +open.toFixed(2),
+        high: +high.toFixed(2),
+        low: +low.toFixed(2),
+        close: +close.toFixed(2),
+        volume: Math.round(1e6 + rand() * 9e6)
+      });
+    }
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return bars;
+}
+
+async function fetchDaily(symbol, startDateYMD = null, endDateYMD = null) {
+  logger.info('upstream_fetch', `🧪 Generating fixture bars for ${symbol}${startDateYMD ? ` from ${startDateYMD}` : ''}${endDateYMD ? ` to ${endDateYMD}` : ''}...`,
+              { provider: 'fixture', symbol, timeframe: '1d', start: startDateYMD, end: endDateYMD });
+  return generate(symbol).filter(b =>
+    (!startDateYMD || b.time.slice(0, 10) >= startDateYMD) && (!endDateYMD || b.time.slice(0, 10) <= endDateYMD));
+}
+
+// Split one daily bar into 30-minute bars over its session: a random path from the open to
+// the close that touches the day's high and low once each
+function splitSession(symbol, day, cal) {
+  const ymd = day.time.slice(0, 10);
+  const open = cal.openMinutes(ymd);
+  const count = Math.round((cal.closeMinutes(ymd) - open) / 30);
+  const rand = rng(hashSymbol(`${symbol}:${ymd}`));
+  const start = wallTimeToDate(ymd, open, cal.timeZone).getTime();
+
+  // Brownian bridge from open to close, squeezed into the day's range
+  const walk = [0];
+  for (let i = 0; i < count; i++) walk.push(walk[i] + rand() - 0.5);
+  const path = walk.map((w, i) => {
+    const t = i / count;
+    const p = day.open + (day.close - day.open) * t + (w - walk[count] * t) * (day.high - day.low) * 0.3;
+    return Math.min(day.high, Math.max(day.low, p));
+  });
+
+  const highAt = Math.floor(rand() * count);
+  const lowAt = Math.floor(rand() * count);
+  const wick = () => rand() * (day.high - day.low) * 0.1;
+  return path.slice(0, count).map((o, i) => {
+    const c = path[i + 1];
+    return {
+      time: new Date(start + i * 30 * 60000).toISOString(),
+      open: +o.toFixed(2),
+      high: +(i === highAt ? day.high : Math.min(day.high, Math.max(o, c) + wick())).toFixed(2),
+      low: +(i === lowAt ? day.low : Math.max(day.low, Math.min(o, c) - wick())).toFixed(2),
+      close: +c.toFixed(2),
+      volume: Math.round(day.volume / count)
+    };
+  });
+}
+
+async function fetchIntraday(symbol, startDateYMD = null) {
+  logger.info('upstream_fetch', `🧪 Generating fixture 30min bars for ${symbol}${startDateYMD ? ` from ${startDateYMD}` : ''}...`,
+              { provider: 'fixture', symbol, timeframe: '30min', start: startDateYMD });
+  const cal = calendarForSymbol(symbol);
+  const days = await fetchDaily(symbol, startDateYMD);
+  return days.flatMap(day => splitSession(symbol, day, cal));
+}
+
+// Every symbol has a fixture series, so every well-formed symbol is known
+async function lookupSymbol(symbol) {
+  const cal = calendarForSymbol(symbol);
+  return {
+    symbol: symbol.toUpperCase(),
+    name: `${symbol.toUpperCase()} (fixture)`,
+    exchange: cal.name,
+    asset_type: cal === CRYPTO ? 'Crypto' : 'Stock',
+    currency: 'USD',
+    first_date: FIXTURE_START,
+    last_date: endDate()
+  };
+}
+
+async function searchSymbols(query) {
+  const symbol = query.toUpperCase();
+  return [{ symbol, name: `${symbol} (fixture)`, asset_type: calendarForSymbol(symbol) === CRYPTO ? 'Crypto' : 'Stock' }];
+}
+
+function checkConfig() {
+  return [];
+}
+
+module.exports = {
+  name: 'fixture',
+  fetchDaily,
+  fetchIntraday,
+  lookupSymbol,
+  searchSymbols,
+  checkConfig
+};
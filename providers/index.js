@@ -0,0 +1,75 @@
+// providers/index.js - Market-data provider registry
+// A provider is { name, fetchDaily(symbol, startDateYMD, endDateYMD?), fetchIntraday?(symbol, startDateYMD), checkConfig() }
+// and returns bars as { time: ISO string, open, high, low, close, volume } sorted by time.
+// endDateYMD (inclusive) is only passed when repairing a range of the cache (quality.js).
+// fetchIntraday returns 30-minute bars stamped at their start (UTC ISO strings).
+// Optional symbol metadata (see symbols.js):
+//   lookupSymbol(symbol) -> { symbol, name, exchange, asset_type, currency, first_date, last_date } | null
+//   searchSymbols(query, limit) -> [{ symbol, name, asset_type }]
+//
+// Selection:
+//   DATA_PROVIDER=tiingo|csv|fixture          default for every symbol (tiingo if unset)
+//   PROVIDER_MAP="BTCUSD=csv,DEMO=fixture"    per-symbol overrides
+const tiingo = require('./tiingo.js');
+const csv = require('./csv.js');
+const fixture = require('./fixture.js');
+
+const providers = new Map([tiingo, csv, fixture].map(p => [p.name, p]));
+
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.fetchDaily !== 'function') {
+    throw new Error('Provider needs a name and a fetchDaily(symbol, startDateYMD) function');
+  }
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown data provider: ${name} (have: ${[...providers.keys()].join(', ')})`);
+  return provider;
+}
+
+function defaultProviderName() {
+  return (process.env.DATA_PROVIDER || 'tiingo').toLowerCase();
+}
+
+function providerMap() {
+  const map = new Map();
+  for (const entry of (process.env.PROVIDER_MAP || '').split(',')) {
+    const [symbol, name] = entry.split('=').map(s => s && s.trim());
+    if (symbol && name) map.set(symbol.toUpperCase(), name.toLowerCase());
+  }
+  return map;
+}
+
+function providerForSymbol(symbol) {
+  const name = providerMap().get(symbol.toUpperCase()) || defaultProviderName();
+  return getProvider(name);
+}
+
+// The default provider plus any named in PROVIDER_MAP
+function providersInUse() {
+  return [...new Set([defaultProviderName(), ...providerMap().values()])];
+}
+
+// Configuration problems for every provider actually in use (e.g. Tiingo without a token)
+function checkProviderConfig() {
+  const inUse = providersInUse();
+  const problems = [];
+  for (const name of inUse) {
+    if (!providers.has(name)) {
+      problems.push(`Unknown data provider: ${name}`);
+      continue;
+    }
+    problems.push(...getProvider(name).checkConfig());
+  }
+  return { providers: [...inUse], problems };
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  providerForSymbol,
+  providersInUse,
+  checkProviderConfig
+};
@@ -0,0 +1,137 @@
+// providers/tiingo.js - Tiingo EOD + IEX intraday provider
+const axios = require('axios');
+const { logger } = require('../logger.js');
+
+// Read lazily so dotenv has loaded by the time the first request goes out
+function token() {
+  const t = process.env.TIINGO_TOKEN;
+  if (!t) throw new Error('Missing TIINGO_TOKEN');
+  return t;
+}
+
+async function fetchDaily(symbol, startDateYMD = null, endDateYMD = null) {
+  // Docs: Tiingo EOD supports ?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD to fetch a date range
+  const base = `https://api.tiingo.com/tiingo/daily/${encodeURIComponent(symbol)}/prices`;
+  const params = new URLSearchParams({ token: token() });
+  if (startDateYMD) params.set('startDate', startDateYMD);
+  if (endDateYMD) params.set('endDate', endDateYMD);
+  const url = `${base}?${params}`;
+  
+  const range = startDateYMD ? `from ${startDateYMD}${endDateYMD ? ` to ${endDateYMD}` : ''}` : 'full history';
+  logger.info('upstream_fetch', `🔄 Fetching ${symbol} daily ${range} from Tiingo...`,
+              { provider: 'tiingo', symbol, timeframe: '1d', start: startDateYMD, end: endDateYMD });
+  
+  try {
+    const { data } = await axios.get(url, { timeout: 15000 });
+    // Normalize to {time, open, high, low, close, volume} plus Tiingo's split/dividend
+    // adjusted series and the corporate action fields, so both bases can be served
+    return (data || []).map(row => ({
+      time: row.date,                 // ISO string
+      open: row.open,
+      high: row.high,
+      low: row.low,
+      close: row.close,
+      volume: row.volume ?? null,
+      adjOpen: row.adjOpen ?? row.open,
+      adjHigh: row.adjHigh ?? row.high,
+      adjLow: row.adjLow ?? row.low,
+      adjClose: row.adjClose ?? row.close,
+      adjVolume: row.adjVolume ?? row.volume ?? null,
+      divCash: row.divCash ?? 0,
+      splitFactor: row.splitFactor ?? 1
+    }));
+  } catch (error) {
+    if (error.response?.status === 429) {
+      logger.warn('provider_rate_limited', `⚠️ Rate limited for ${symbol} - will use existing cache`,
+                  { provider: 'tiingo', symbol, timeframe: '1d', start: startDateYMD, end: endDateYMD });
+    }
+    throw error; // The scheduler backs off on 429; callers fall back to cached bars
+  }
+}
+
+async function fetchIntraday(symbol, startDateYMD = null) {
+  // Tiingo IEX intraday: 30-minute bars, regular session only (cache.js builds 1H/4H from them)
+  const base = `https://api.tiingo.com/iex/${encodeURIComponent(symbol)}/prices`;
+  const params = new URLSearchParams({
+    token: token(),
+    resampleFreq: '30min',
+    afterHours: 'false',
+    format: 'json'
+  });
+  
+  if (startDateYMD) {
+    params.set('startDate', startDateYMD);
+  }
+  
+  const url = `${base}?${params}`;
+  
+  logger.info('upstream_fetch', `🔄 Fetching ${symbol} 30min ${startDateYMD ? `from ${startDateYMD}` : 'recent'} from Tiingo...`,
+              { provider: 'tiingo', symbol, timeframe: '30min', start: startDateYMD });
+  
+  try {
+    const { data } = await axios.get(url, { timeout: 15000 });
+    // Normalize intraday data to consistent format
+    return (data || []).map(row => ({
+      time: row.date,                 // ISO string
+      open: row.open,
+      high: row.high,
+      low: row.low,
+      close: row.close,
+      volume: row.volume ?? null
+    }));
+  } catch (error) {
+    if (error.response?.status === 429) {
+      logger.warn('provider_rate_limited', `⚠️ Rate limited for ${symbol} intraday - will use existing cache`,
+                  { provider: 'tiingo', symbol, timeframe: '30min', start: startDateYMD });
+    }
+    throw error; // The scheduler backs off on 429; callers fall back to cached bars
+  }
+}
+
+// Ticker metadata from Tiingo's daily endpoint; null when Tiingo doesn't know the ticker.
+// The endpoint has no asset type, so that comes from search results (see symbols.js).
+async function lookupSymbol(symbol) {
+  const url = `https://api.tiingo.com/tiingo/daily/${encodeURIComponent(symbol)}?token=${token()}`;
+  try {
+    const { data } = await axios.get(url, { timeout: 15000 });
+    if (!data?.ticker) return null;
+    return {
+      symbol: data.ticker.toUpperCase(),
+      name: data.name || null,
+      exchange: data.exchangeCode || null,
+      asset_type: null,
+      currency: 'USD', // Tiingo EOD covers US listings only
+      first_date: data.startDate || null,
+      last_date: data.endDate || null
+    };
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+async function searchSymbols(query, limit = 10) {
+  const params = new URLSearchParams({ query, limit: String(limit), token: token() });
+  const { data } = await axios.get(`https://api.tiingo.com/tiingo/utilities/search?${params}`, { timeout: 15000 });
+  return (data || [])
+    .filter(row => row.ticker && row.isActive !== false)
+    .map(row => ({
+      symbol: row.ticker.toUpperCase(),
+      name: row.name || null,
+      asset_type: row.assetType || null
+    }));
+}
+
+function checkConfig() {
+  return process.env.TIINGO_TOKEN ? [] : ['Missing TIINGO_TOKEN in .env'];
+}
+
+module.exports = {
+  name: 'tiingo',
+  metered: true, // requests count against the shared API quota (see scheduler.js)
+  fetchDaily,
+  fetchIntraday,
+  lookupSymbol,
+  searchSymbols,
+  checkConfig
+};
@@ -0,0 +1,253 @@
+// quality.js - Data quality checks and gap repair for cached daily bars
+// Walks a symbol's daily cache as stored (nothing is fetched) against its exchange
+// calendar and reports:
+//
+//   missing_sessions   trading days with no bar, between the first and last cached bar
+//   non_trading_day    a bar on a weekend or exchange holiday
+//   duplicate_date     more than one bar for a session
+//   out_of_order       a bar stamped before the one it follows
+//   bad_ohlc           high < low, open/close outside the high-low range, missing or <= 0 prices
+//   zero_volume        VOLUME_RUN or more sessions in a row without volume
+//   price_jump         a close-to-close move beyond jumpPct (adjusted prices, so splits don't count)
+//
+// repairSymbol refetches only the date ranges behind those findings and splices the
+// provider's bars in (cache.js refetchDailyRanges); days the provider has no bar for
+// either are remembered as confirmed gaps and not reported again.
+const { listSeries } = require('./barstore.js');
+const { readCachedSeries, refetchDailyRanges } = require('./cache.js');
+const { providerForSymbol } = require('./providers/index.js');
+const { calendarForSymbol, nextTradingDay, addDays } = require('./shared/calendar.js');
+
+const DEFAULT_JUMP_PCT = 25;
+const VOLUME_RUN = 3;
+const MAX_ISSUES = 500;
+// Each range is one upstream request; ranges closer than this many days are fetched together
+const MERGE_GAP_DAYS = 7;
+const MAX_REPAIR_RANGES = 20;
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  return err;
+}
+
+function notCached(symbol) {
+  const err = new Error(`No cached daily bars for ${symbol}`);
+  err.code = 'not_cached';
+  return err;
+}
+
+function normalizeSymbol(symbol) {
+  const sym = String(symbol || '').trim().toUpperCase();
+  if (!/^[A-Z0-9.-]{1,10}$/.test(sym)) throw invalidRequest(`Invalid symbol: ${symbol}`);
+  return sym;
+}
+
+function parseJumpPct(jumpPct) {
+  if (jumpPct == null) return DEFAULT_JUMP_PCT;
+  const pct = Number(jumpPct);
+  if (!Number.isFinite(pct) || pct <= 0 || pct > 1000) throw invalidRequest('jump_pct must be a number between 0 and 1000');
+  return pct;
+}
+
+const dateOf = bar => String(bar.time).slice(0, 10);
+const finite = x => typeof x === 'number' && Number.isFinite(x);
+
+// What is wrong with one bar's prices, or null
+function ohlcProblem(bar) {
+  const { open, high, low, close } = bar;
+  if (![open, high, low, close].every(finite)) return 'missing price';
+  if ([open, high, low, close].some(x => x <= 0)) return 'price <= 0';
+  if (high < low) return `high ${high} < low ${low}`;
+  if (open > high || open < low) return `open ${open} outside ${low}-${high}`;
+  if (close > high || close < low) return `close ${close} outside ${low}-${high}`;
+  return null;
+}
+
+// Findings for one series of daily bars (in stored order), oldest first
+function checkDailyBars(bars, cal, { jumpPct = DEFAULT_JUMP_PCT, confirmedGaps = [] } = {}) {
+  const issues = [];
+  const add = (type, from, to, detail, extra = {}) => issues.push({ type, from, to, detail, ...extra });
+
+  // Stored order: a time earlier than the previous bar's, or a second bar for a session
+  const seen = new Map();
+  bars.forEach((bar, i) => {
+    const d = dateOf(bar);
+    if (i > 0 && String(bar.time) < String(bars[i - 1].time)) {
+      add('out_of_order', d, d, `${bar.time} stored after ${bars[i - 1].time}`);
+    }
+    seen.set(d, (seen.get(d) || 0) + 1);
+  });
+  for (const [d, n] of seen) {
+    if (n > 1) add('duplicate_date', d, d, `${n} bars for ${d}`, { count: n });
+  }
+
+  // The rest works on one bar per session in date order
+  const byDate = new Map();
+  for (const bar of bars) byDate.set(dateOf(bar), bar);
+  const days = [...byDate.keys()].sort();
+  if (!days.length) return issues;
+
+  const confirmed = new Set(confirmedGaps);
+  let gapStart = null;
+  let gapCount = 0;
+  const flushGap = end => {
+    if (gapStart) add('missing_sessions', gapStart, end, `${gapCount} trading day${gapCount > 1 ? 's' : ''} without a bar`, { count: gapCount });
+    gapStart = null;
+    gapCount = 0;
+  };
+  let prevMissing = null;
+  for (let d = days[0]; d <= days[days.length - 1]; d = nextTradingDay(cal, d)) {
+    if (byDate.has(d) || confirmed.has(d)) {
+      flushGap(prevMissing);
+      continue;
+    }
+    if (!gapStart) gapStart = d;
+    gapCount++;
+    prevMissing = d;
+  }
+  flushGap(prevMissing);
+
+  let zeroStart = null;
+  let zeroRun = 0;
+  const flushZero = end => {
+    if (zeroRun >= VOLUME_RUN) add('zero_volume', zeroStart, end, `${zeroRun} sessions without volume`, { count: zeroRun });
+    zeroStart = null;
+    zeroRun = 0;
+  };
+
+  days.forEach((d, i) => {
+    const bar = byDate.get(d);
+    if (!cal.isTradingDay(d)) add('non_trading_day', d, d, cal.holiday(d) || 'weekend');
+
+    const problem = ohlcProblem(bar);
+    if (problem) add('bad_ohlc', d, d, problem);
+
+    if (!bar.volume) {
+      if (!zeroRun) zeroStart = d;
+      zeroRun++;
+    } else {
+      flushZero(days[i - 1]);
+    }
+
+    const prev = i > 0 ? byDate.get(days[i - 1]) : null;
+    const a = prev && (prev.adjClose ?? prev.close);
+    const b = bar.adjClose ?? bar.close;
+    // Raw-only series show splits as jumps; the split factor on the bar explains those
+    const split = bar.adjClose == null && bar.splitFactor != null && bar.splitFactor !== 1;
+    if (finite(a) && finite(b) && a > 0 && !split) {
+      const move = (b / a - 1) * 100;
+      if (Math.abs(move) > jumpPct) add('price_jump', days[i - 1], d, `${move > 0 ? '+' : ''}${move.toFixed(1)}% close to close`);
+    }
+  });
+  flushZero(days[days.length - 1]);
+
+  return issues.sort((x, y) => x.from.localeCompare(y.from) || x.type.localeCompare(y.type));
+}
+
+function countByType(issues) {
+  const counts = {};
+  for (const i of issues) counts[i.type] = (counts[i.type] || 0) + 1;
+  return counts;
+}
+
+// Report for one symbol's daily cache; code 'not_cached' when there is none
+async function checkSymbol(symbol, { jumpPct } = {}) {
+  const sym = normalizeSymbol(symbol);
+  const pct = parseJumpPct(jumpPct);
+  const { provider, meta, bars } = await readCachedSeries(sym, '1d');
+  if (!meta) throw notCached(sym);
+
+  const issues = checkDailyBars(bars, calendarForSymbol(sym), { jumpPct: pct, confirmedGaps: meta.confirmed_gaps });
+  const dates = bars.map(dateOf).sort();
+  return {
+    symbol: sym,
+    timeframe: '1D',
+    provider,
+    bars: bars.length,
+    first_date: dates[0] || null,
+    last_date: dates[dates.length - 1] || null,
+    checked_at: new Date().toISOString(),
+    repaired_at: meta.repaired_at || null,
+    confirmed_gaps: (meta.confirmed_gaps || []).length,
+    ok: !issues.length,
+    counts: countByType(issues),
+    issues: issues.slice(0, MAX_ISSUES),
+    truncated: issues.length > MAX_ISSUES
+  };
+}
+
+// Reports for `symbols`, or for every symbol with a daily cache from its current provider.
+// Symbols that can't be checked are listed under errors.
+async function checkSymbols({ symbols, jumpPct } = {}) {
+  parseJumpPct(jumpPct);
+  let list = symbols?.length ? [...new Set(symbols.map(normalizeSymbol))] : null;
+  if (!list) {
+    const series = await listSeries({ countBars: false });
+    list = [...new Set(series
+      .filter(s => s.timeframe === '1d' && s.provider === providerForSymbol(s.symbol).name)
+      .map(s => s.symbol))].sort();
+  }
+
+  const reports = [];
+  const errors = [];
+  for (const symbol of list) {
+    try {
+      reports.push(await checkSymbol(symbol, { jumpPct }));
+    } catch (error) {
+      errors.push({ symbol, error: error.message });
+    }
+  }
+  return { checked_at: new Date().toISOString(), reports, errors };
+}
+
+// Date ranges to refetch for a set of findings: each finding's own dates (a day before a
+// gap or jump so the edges are re-read too), merged when they are close together
+function repairRanges(issues, cal) {
+  const ranges = issues
+    .map(i => ({ from: i.type === 'missing_sessions' ? addDays(i.from, -1) : i.from, to: i.to < i.from ? i.from : i.to }))
+    .map(r => (r.to < r.from ? { from: r.to, to: r.from } : r))
+    .sort((a, b) => a.from.localeCompare(b.from));
+
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && addDays(last.to, MERGE_GAP_DAYS) >= r.from) {
+      if (r.to > last.to) last.to = r.to;
+    } else {
+      merged.push({ ...r });
+    }
+  }
+  // Ranges start and end on sessions so the edges land on real bars
+  return merged.map(r => ({ from: cal.isTradingDay(r.from) ? r.from : nextTradingDay(cal, r.from), to: r.to }))
+    .map(r => (r.from > r.to ? { from: r.to, to: r.to } : r));
+}
+
+// Refetch the ranges behind a symbol's findings (newest first, at most MAX_REPAIR_RANGES
+// per run) and check again. `types` limits the repair to some finding types.
+async function repairSymbol(symbol, { jumpPct, types } = {}) {
+  const sym = normalizeSymbol(symbol);
+  const before = await checkSymbol(sym, { jumpPct });
+  const wanted = types?.length ? new Set(types) : null;
+  const issues = before.issues.filter(i => !wanted || wanted.has(i.type));
+
+  const ranges = repairRanges(issues, calendarForSymbol(sym)).reverse();
+  const todo = ranges.slice(0, MAX_REPAIR_RANGES);
+  const results = todo.length ? await refetchDailyRanges(sym, todo) : [];
+  const after = await checkSymbol(sym, { jumpPct });
+
+  return {
+    symbol: sym,
+    ranges: results,
+    skipped_ranges: ranges.slice(MAX_REPAIR_RANGES),
+    before: before.counts,
+    after
+  };
+}
+
+module.exports = {
+  checkDailyBars,
+  checkSymbol,
+  checkSymbols,
+  repairSymbol
+};
@@ -0,0 +1,57 @@
+// ratios.js - Synthetic ratio symbols (relative strength), e.g. AAPL/SPY
+// A ratio is one symbol's bars divided by another's on the dates (or intraday bar times)
+// both have. It is never cached itself: cache.js builds it from the two cached series, so
+// it follows their refreshes and the adjusted/raw choice. GOOGL:MSFT is accepted as
+// another spelling of GOOGL/MSFT; drawings and alerts are stored under the '/' form.
+const { sessionDate } = require('./shared/calendar.js');
+
+const TICKER_RE = /^[A-Z0-9.-]{1,10}$/;
+const RATIO_RE = /^([A-Z0-9.-]{1,10})\s*[/:]\s*([A-Z0-9.-]{1,10})$/;
+
+// { symbol: 'AAPL/SPY', base: 'AAPL', quote: 'SPY' }, or null if symbol isn't a ratio
+function parseRatioSymbol(symbol) {
+  const m = RATIO_RE.exec(String(symbol || '').trim().toUpperCase());
+  if (!m || m[1] === m[2]) return null;
+  return { symbol: `${m[1]}/${m[2]}`, base: m[1], quote: m[2] };
+}
+
+// Upper-cased ticker or canonical ratio, or null when symbol is neither
+function normalizeChartSymbol(symbol) {
+  const sym = String(symbol || '').trim().toUpperCase();
+  if (TICKER_RE.test(sym)) return sym;
+  return parseRatioSymbol(sym)?.symbol ?? null;
+}
+
+// File-name form for per-symbol files ('/' can't appear in a name)
+const symbolFileName = symbol => symbol.replace('/', '~');
+
+// Divide base by quote bar for bar. Open and close are exact; the true high and low of a
+// ratio aren't known from two bars, so they are the legs' high/high and low/low ratios,
+// widened to contain the open and close. Ratios have no volume.
+function combineRatioBars(baseBars, quoteBars, { intraday = false } = {}) {
+  const key = bar => (intraday ? Date.parse(bar.time) : sessionDate(bar.time));
+  const quotes = new Map(quoteBars.map(b => [key(b), b]));
+  const out = [];
+  for (const b of baseBars) {
+    const q = quotes.get(key(b));
+    if (!q || !(q.open > 0 && q.high > 0 && q.low > 0 && q.close > 0)) continue;
+    const open = b.open / q.open;
+    const close = b.close / q.close;
+    out.push({
+      time: b.time,
+      open,
+      high: Math.max(open, close, b.high / q.high),
+      low: Math.min(open, close, b.low / q.low),
+      close,
+      volume: 0
+    });
+  }
+  return out.filter(b => [b.open, b.high, b.low, b.close].every(Number.isFinite));
+}
+
+module.exports = {
+  parseRatioSymbol,
+  normalizeChartSymbol,
+  symbolFileName,
+  combineRatioBars
+};
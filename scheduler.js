@@ -0,0 +1,213 @@
+// scheduler.js - Shared upstream request scheduler with a persisted API quota
+// Every metered provider fetch (Tiingo) goes through schedule(). Tokens come from an
+// hourly and a daily budget kept in ./data/quota.json, so the server and auto-update
+// share one budget and it survives restarts. Interactive loads are always picked
+// before queued batch work, and batch work leaves a slice of each hour's budget
+// untouched so a sweep in the other process can't starve the UI. Batch jobs wait for
+// the next window; interactive ones give up quickly so the caller can fall back to
+// cached bars.
+const path = require('path');
+const { DATA_DIR, readJson, writeJson, withFileLock } = require('./store.js');
+const { logger } = require('./logger.js');
+
+const QUOTA_FILE = path.join(DATA_DIR, 'quota.json');
+
+// How long a job may wait for a token before it is rejected
+const MAX_WAIT_MS = {
+  interactive: 30 * 1000,
+  batch: 60 * 60 * 1000
+};
+
+// Back off everything after the provider answers 429
+const RATE_LIMIT_BACKOFF_MS = 15 * 60 * 1000;
+
+// Retry delay after the quota file itself fails
+const ERROR_RETRY_MS = 5 * 1000;
+
+function limits() {
+  return {
+    hourly: parseInt(process.env.API_HOURLY_LIMIT || '50', 10),
+    daily: parseInt(process.env.API_DAILY_LIMIT || '1000', 10),
+    concurrency: Math.max(1, parseInt(process.env.API_MAX_CONCURRENT || '2', 10)),
+    // Tokens per hour only interactive requests may use (default 10% of the hourly budget)
+    reserve: parseInt(process.env.API_INTERACTIVE_RESERVE || '', 10) ||
+             Math.ceil(parseInt(process.env.API_HOURLY_LIMIT || '50', 10) * 0.1)
+  };
+}
+
+function quotaError(retryAt) {
+  const err = new Error(`API quota exhausted until ${new Date(retryAt).toISOString()}`);
+  err.code = 'quota_exhausted';
+  err.retryAt = new Date(retryAt).toISOString();
+  return err;
+}
+
+// Quota problems (ours or the provider's) shouldn't be mistaken for a bad symbol
+function isQuotaError(err) {
+  return err?.code === 'quota_exhausted' || err?.response?.status === 429;
+}
+
+const hourKey = d => d.toISOString().slice(0, 13);
+const dayKey = d => d.toISOString().slice(0, 10);
+
+function nextHour(now) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours() + 1);
+}
+
+function nextDay(now) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+async function loadState(now = new Date()) {
+  const state = await readJson(QUOTA_FILE, {});
+  if (state.hour_key !== hourKey(now)) Object.assign(state, { hour_key: hourKey(now), hour_used: 0 });
+  if (state.day_key !== dayKey(now)) Object.assign(state, { day_key: dayKey(now), day_used: 0 });
+  return state;
+}
+
+// Earliest time (ms) a token can be granted to a job of the given priority
+function availableAt(state, now, priority = 'interactive') {
+  const { hourly, daily, reserve } = limits();
+  const hourCap = priority === 'interactive' ? hourly : Math.max(1, hourly - reserve);
+  let at = now.getTime();
+  if (state.blocked_until) at = Math.max(at, Date.parse(state.blocked_until));
+  if (state.day_used >= daily) at = Math.max(at, nextDay(now));
+  if (state.hour_used >= hourCap) at = Math.max(at, nextHour(now));
+  return at;
+}
+
+// Take one token. Resolves 0 on success, otherwise the time a token frees up.
+// The file is re-read under the cross-process lock so usage by the other process is
+// counted and neither overwrites the other's increments.
+async function tryAcquire(priority) {
+  return withFileLock(QUOTA_FILE, async () => {
+    const now = new Date();
+    const state = await loadState(now);
+    const at = availableAt(state, now, priority);
+    if (at > now.getTime()) return at;
+    state.hour_used++;
+    state.day_used++;
+    state.updated_at = now.toISOString();
+    await writeJson(QUOTA_FILE, state);
+    return 0;
+  });
+}
+
+async function noteRateLimited(label) {
+  const until = new Date(Date.now() + RATE_LIMIT_BACKOFF_MS).toISOString();
+  logger.warn('provider_rate_limited', `⏳ Provider rate limited${label ? ` on ${label}` : ''} - pausing upstream fetches until ${until}`, { label, until });
+  await withFileLock(QUOTA_FILE, async () => {
+    const state = await loadState();
+    state.blocked_until = until;
+    await writeJson(QUOTA_FILE, state);
+  });
+}
+
+const jobs = [];
+let running = 0;
+let pumping = false;
+let wakeTimer = null;
+
+// Interactive jobs first, then FIFO. A job's ctx can be promoted after it was queued
+// (cache.js does this when an interactive load joins an in-flight batch refresh).
+function nextJobIndex() {
+  const i = jobs.findIndex(j => j.ctx.priority === 'interactive');
+  return i >= 0 ? i : 0;
+}
+
+function rejectExpired(readyAt) {
+  for (const job of [...jobs]) {
+    const maxWait = MAX_WAIT_MS[job.ctx.priority] ?? MAX_WAIT_MS.batch;
+    if (readyAt - job.queuedAt > maxWait) {
+      jobs.splice(jobs.indexOf(job), 1);
+      job.reject(quotaError(readyAt));
+    }
+  }
+}
+
+function run(job) {
+  running++;
+  Promise.resolve()
+    .then(job.task)
+    .then(job.resolve, async error => {
+      if (error?.response?.status === 429) await noteRateLimited(job.label).catch(() => {});
+      job.reject(error);
+    })
+    .finally(() => {
+      running--;
+      pump();
+    });
+}
+
+async function pump() {
+  if (pumping) return;
+  pumping = true;
+  try {
+    while (jobs.length && running < limits().concurrency) {
+      const readyAt = await tryAcquire(jobs[nextJobIndex()].ctx.priority);
+      if (readyAt) {
+        rejectExpired(readyAt);
+        if (jobs.length) {
+          clearTimeout(wakeTimer);
+          wakeTimer = setTimeout(pump, Math.min(Math.max(readyAt - Date.now(), 1000), 60 * 1000));
+        }
+        break;
+      }
+      const [job] = jobs.splice(nextJobIndex(), 1);
+      run(job);
+    }
+  } catch (error) {
+    // The quota file couldn't be read or written: fail the job that was waiting for the
+    // token (callers fall back to cached bars) and try again shortly for the rest
+    logger.error('scheduler_error', `❌ Scheduler error: ${error.message}`, { error: error.message });
+    if (jobs.length) jobs.splice(nextJobIndex(), 1)[0].reject(error);
+    if (jobs.length) {
+      clearTimeout(wakeTimer);
+      wakeTimer = setTimeout(pump, ERROR_RETRY_MS);
+    }
+  } finally {
+    pumping = false;
+  }
+}
+
+// Queue an upstream call. ctx ({ priority: 'interactive' | 'batch' }) is kept by
+// reference so callers can promote work that is already waiting.
+function schedule(task, { ctx = { priority: 'batch' }, label = '' } = {}) {
+  return new Promise((resolve, reject) => {
+    jobs.push({ task, ctx, label, resolve, reject, queuedAt: Date.now() });
+    pump();
+  });
+}
+
+async function getQuotaStatus() {
+  const now = new Date();
+  const state = await loadState(now);
+  const { hourly, daily, concurrency, reserve } = limits();
+  const blocked = state.blocked_until && Date.parse(state.blocked_until) > now.getTime();
+  return {
+    limits: { hourly, daily, concurrency, interactive_reserve: reserve },
+    used: { hour: state.hour_used, day: state.day_used },
+    remaining: {
+      hour: Math.max(0, hourly - state.hour_used),
+      day: Math.max(0, daily - state.day_used)
+    },
+    resets: {
+      hour: new Date(nextHour(now)).toISOString(),
+      day: new Date(nextDay(now)).toISOString()
+    },
+    blocked_until: blocked ? state.blocked_until : null,
+    next_token_at: new Date(availableAt(state, now)).toISOString(),
+    // Queue depth is for this process only
+    queue: {
+      interactive: jobs.filter(j => j.ctx.priority === 'interactive').length,
+      batch: jobs.filter(j => j.ctx.priority !== 'interactive').length,
+      running
+    }
+  };
+}
+
+module.exports = {
+  schedule,
+  isQuotaError,
+  getQuotaStatus
+};
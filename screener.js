@@ -0,0 +1,244 @@
+// screener.js - Watchlist screener: one row of setup columns per symbol, from cached bars
+// Every column is computed with the shared indicator library, so "above EMA(200)" here
+// means exactly what the chart and the alert sweep mean by it.
+const { getBarsCached } = require('./cache.js');
+const drawings = require('./drawings.js');
+const { toChartBars } = require('./signals.js');
+const { normalizeChartSymbol } = require('./ratios.js');
+const { computeIndicator } = require('./shared/indicators.js');
+
+// Bars loaded per symbol: enough for EMA(200) plus the squeeze lookback
+const SCREEN_BARS = 1000;
+const MAX_SYMBOLS = 100;
+
+const DEFAULT_PARAMS = {
+  ema: 200,            // EMA period for ema_dist_pct / ema_position
+  bbPeriod: 20,
+  bbMult: 2,
+  squeezeBars: 120,    // bb_squeeze: band width at its lowest over this many bars
+  hlBars: 20,          // new_high / new_low / dist_high_pct / dist_low_pct window
+  changeBars: 20,      // change_n_pct lookback
+  levelPct: 2          // near_level: close within this % of a saved level
+};
+
+// Squeeze if today's width is within this fraction of the lookback minimum
+const SQUEEZE_TOLERANCE = 0.05;
+
+const COLUMNS = [
+  { key: 'symbol', type: 'string', label: () => 'Symbol' },
+  { key: 'date', type: 'string', label: () => 'Date' },
+  { key: 'close', type: 'number', label: () => 'Close' },
+  { key: 'change_pct', type: 'number', label: () => 'Chg %' },
+  { key: 'change_n_pct', type: 'number', label: p => `${p.changeBars}-bar %` },
+  { key: 'ema_position', type: 'string', label: p => `EMA(${p.ema})` },
+  { key: 'ema_dist_pct', type: 'number', label: p => `vs EMA(${p.ema}) %` },
+  { key: 'rsi', type: 'number', label: () => 'RSI(14)' },
+  { key: 'bb_width_pct', type: 'number', label: p => `BB(${p.bbPeriod},${p.bbMult}) width %` },
+  { key: 'bb_squeeze', type: 'boolean', label: () => 'Squeeze' },
+  { key: 'bb_break', type: 'string', label: () => 'Band break' },
+  { key: 'new_high', type: 'boolean', label: p => `${p.hlBars}-bar high` },
+  { key: 'new_low', type: 'boolean', label: p => `${p.hlBars}-bar low` },
+  { key: 'dist_high_pct', type: 'number', label: p => `vs ${p.hlBars}-bar high %` },
+  { key: 'dist_low_pct', type: 'number', label: p => `vs ${p.hlBars}-bar low %` },
+  { key: 'level_price', type: 'number', label: () => 'Nearest level' },
+  { key: 'level_dist_pct', type: 'number', label: () => 'vs level %' },
+  { key: 'near_level', type: 'boolean', label: p => `Within ${p.levelPct}% of level` }
+];
+
+const COLUMN_TYPES = Object.fromEntries(COLUMNS.map(c => [c.key, c.type]));
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  return err;
+}
+
+const pct = (a, b) => (Number.isFinite(a) && Number.isFinite(b) && b !== 0 ? +(((a - b) / b) * 100).toFixed(2) : null);
+const round = (v, digits = 2) => (Number.isFinite(v) ? +v.toFixed(digits) : null);
+
+// Merge query-string overrides into the defaults (positive numbers only)
+function parseParams(query = {}) {
+  const params = { ...DEFAULT_PARAMS };
+  for (const key of Object.keys(DEFAULT_PARAMS)) {
+    if (query[key] == null || query[key] === '') continue;
+    const n = Number(query[key]);
+    if (!Number.isFinite(n) || n <= 0) throw invalidRequest(`Invalid ${key}: ${query[key]}`);
+    params[key] = key === 'bbMult' || key === 'levelPct' ? n : Math.round(n);
+  }
+  return params;
+}
+
+// 'ema_dist_pct>0, near_level=true, bb_break!=null' -> [{ key, op, value }]
+function parseFilters(text) {
+  if (!text) return [];
+  return String(text).split(',').map(s => s.trim()).filter(Boolean).map(clause => {
+    const m = /^([a-z0-9_]+)\s*(>=|<=|!=|=|>|<)\s*(.*)$/i.exec(clause);
+    if (!m) throw invalidRequest(`Invalid filter: ${clause}`);
+    const [, key, op, raw] = m;
+    const type = COLUMN_TYPES[key];
+    if (!type) throw invalidRequest(`Unknown column: ${key}`);
+    let value = raw.trim();
+    if (value === 'null') value = null;
+    else if (type === 'number') {
+      value = Number(value);
+      if (!Number.isFinite(value)) throw invalidRequest(`Filter ${clause} needs a number`);
+    } else if (type === 'boolean') {
+      if (!['true', 'false'].includes(value)) throw invalidRequest(`Filter ${clause} needs true or false`);
+      value = value === 'true';
+    } else {
+      value = value.toLowerCase();
+    }
+    if (['>', '<', '>=', '<='].includes(op) && type !== 'number') {
+      throw invalidRequest(`${key} can only be compared with = or !=`);
+    }
+    return { key, op, value };
+  });
+}
+
+function matchesFilter(row, { key, op, value }) {
+  const v = typeof row[key] === 'string' ? row[key].toLowerCase() : row[key];
+  if (op === '=') return v === value || (value === null && v == null);
+  if (op === '!=') return !(v === value || (value === null && v == null));
+  if (v == null) return false;
+  if (op === '>') return v > value;
+  if (op === '<') return v < value;
+  if (op === '>=') return v >= value;
+  return v <= value;
+}
+
+// Numbers and booleans sort on value, strings alphabetically; missing values always last
+function sortRows(rows, key, order) {
+  if (!COLUMN_TYPES[key]) throw invalidRequest(`Unknown sort column: ${key}`);
+  const dir = order === 'asc' ? 1 : -1;
+  return rows.sort((a, b) => {
+    const x = a[key], y = b[key];
+    if (x == null && y == null) return 0;
+    if (x == null) return 1;
+    if (y == null) return -1;
+    if (typeof x === 'string') return x.localeCompare(y) * dir;
+    return (Number(x) - Number(y)) * dir;
+  });
+}
+
+const last = points => points[points.length - 1]?.value ?? null;
+
+// One screener row from chart bars (epoch seconds) and the symbol's saved levels
+function screenBars(symbol, bars, levels, p) {
+  const row = Object.fromEntries(COLUMNS.map(c => [c.key, null]));
+  row.symbol = symbol;
+  if (!bars.length) return row;
+
+  const N = bars.length;
+  const bar = bars[N - 1];
+  const close = bar.close;
+  row.date = new Date(bar.time * 1000).toISOString().slice(0, 10);
+  row.close = round(close);
+  if (N >= 2) row.change_pct = pct(close, bars[N - 2].close);
+  if (N > p.changeBars) row.change_n_pct = pct(close, bars[N - 1 - p.changeBars].close);
+
+  // EMA needs its full period before it means anything
+  if (N >= p.ema) {
+    const ema = last(computeIndicator({ type: 'ema', params: { period: p.ema } }, bars).value);
+    row.ema_dist_pct = pct(close, ema);
+    row.ema_position = close >= ema ? 'above' : 'below';
+  }
+
+  row.rsi = round(last(computeIndicator({ type: 'rsi', params: { period: 14 } }, bars).value), 1);
+
+  const bb = computeIndicator({ type: 'bb', params: { period: p.bbPeriod, mult: p.bbMult } }, bars);
+  if (bb.middle.length) {
+    const widths = bb.middle.map((m, i) => ((bb.upper[i].value - bb.lower[i].value) / m.value) * 100);
+    const width = widths[widths.length - 1];
+    row.bb_width_pct = round(width);
+    if (widths.length >= p.squeezeBars) {
+      const minWidth = Math.min(...widths.slice(-p.squeezeBars));
+      row.bb_squeeze = width <= minWidth * (1 + SQUEEZE_TOLERANCE);
+    }
+    if (close > last(bb.upper)) row.bb_break = 'upper';
+    else if (close < last(bb.lower)) row.bb_break = 'lower';
+  }
+
+  if (N >= p.hlBars) {
+    const recent = bars.slice(-p.hlBars);
+    const high = Math.max(...recent.map(b => b.high));
+    const low = Math.min(...recent.map(b => b.low));
+    row.new_high = bar.high >= high;
+    row.new_low = bar.low <= low;
+    row.dist_high_pct = pct(close, high);
+    row.dist_low_pct = pct(close, low);
+  }
+
+  const prices = (levels || []).map(l => +l.price).filter(Number.isFinite);
+  if (prices.length) {
+    const nearest = prices.reduce((best, price) => (Math.abs(close - price) < Math.abs(close - best) ? price : best));
+    row.level_price = round(nearest);
+    row.level_dist_pct = pct(close, nearest);
+    row.near_level = Math.abs(row.level_dist_pct) <= p.levelPct;
+  }
+
+  return row;
+}
+
+// Symbols of one saved watchlist, or of every watchlist when no id is given
+async function watchlistSymbols(listId) {
+  const doc = await drawings.getWatchlist();
+  if (!listId) return doc.symbols;
+  const found = doc.lists.find(l => l.id === listId);
+  if (!found) throw invalidRequest(`Unknown watchlist: ${listId}`);
+  return found.sections.flatMap(s => s.symbols);
+}
+
+// Screen a symbol list (default: watchlist `listId`, or all watchlists) on one timeframe.
+// Bars come through the cache, so fresh symbols never touch the upstream API.
+async function runScreen({ symbols, listId, timeframe = '1D', adjusted = true, filter = '', sort = 'symbol', order, params = {} } = {}) {
+  const p = parseParams(params);
+  const filters = parseFilters(filter);
+  const tf = String(timeframe).toUpperCase();
+  if (!['1H', '4H', '1D', '1W', '1M'].includes(tf)) throw invalidRequest(`Invalid timeframe: ${timeframe}`);
+
+  let list = symbols?.length ? symbols : await watchlistSymbols(listId);
+  list = list.map(s => String(s).trim()).filter(Boolean);
+  const bad = list.find(s => !normalizeChartSymbol(s));
+  if (bad) throw invalidRequest(`Invalid symbol: ${bad}`);
+  list = [...new Set(list.map(normalizeChartSymbol))];
+  if (list.length > MAX_SYMBOLS) throw invalidRequest(`At most ${MAX_SYMBOLS} symbols per screen`);
+
+  const errors = [];
+  const results = await Promise.allSettled(list.map(async symbol => {
+    const [series, doc] = await Promise.all([
+      getBarsCached(symbol, SCREEN_BARS, tf, { adjusted, priority: 'interactive' }),
+      drawings.getChartDrawings(symbol, tf)
+    ]);
+    return screenBars(symbol, toChartBars(series.data), doc.levels, p);
+  }));
+  const rows = [];
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled') rows.push(r.value);
+    else errors.push({ symbol: list[i], error: r.reason?.message || String(r.reason) });
+  });
+
+  const matched = rows.filter(row => filters.every(f => matchesFilter(row, f)));
+  const defaultOrder = COLUMN_TYPES[sort] === 'string' ? 'asc' : 'desc';
+  sortRows(matched, sort, order || defaultOrder);
+
+  return {
+    timeframe: tf,
+    adjusted,
+    generated_at: new Date().toISOString(),
+    params: p,
+    filter: filters,
+    sort: { key: sort, order: order || defaultOrder },
+    columns: COLUMNS.map(c => ({ key: c.key, type: c.type, label: c.label(p) })),
+    rows: matched,
+    total: rows.length,
+    errors
+  };
+}
+
+module.exports = {
+  DEFAULT_PARAMS,
+  COLUMNS,
+  parseFilters,
+  watchlistSymbols,
+  runScreen
+};
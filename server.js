@@ -1,57 +1,150 @@
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const express = require('express');
 const fetch = require('node-fetch');   // v2 matches CommonJS
 const cors = require('cors');
 const { getBarsCached } = require('./cache.js');
+const { migrateLegacyCache } = require('./barstore.js');
+const { getQuotaStatus } = require('./scheduler.js');
+const { runScreen } = require('./screener.js');
+const { suggestLevels } = require('./suggestions.js');
+const { runBacktest } = require('./backtest.js');
+const { summarizeSymbols } = require('./summary.js');
+const { toChartBars } = require('./signals.js');
+const { checkProviderConfig } = require('./providers/index.js');
+const symbols = require('./symbols.js');
+const quality = require('./quality.js');
+const { normalizeChartSymbol } = require('./ratios.js');
+const { getStatus, getHealth } = require('./status.js');
+const { httpMetrics, renderMetrics } = require('./metrics.js');
+const { searchLogs } = require('./logger.js');
+const alerts = require('./alerts.js');
+const drawings = require('./drawings.js');
+const workspace = require('./workspace.js');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
-const TIINGO_TOKEN = process.env.TIINGO_TOKEN;
 
-if (!TIINGO_TOKEN) {
-  console.error('❌ Missing TIINGO_TOKEN in .env');
+// Only the providers actually selected need configuring (csv/fixture run fully offline)
+const providerConfig = checkProviderConfig();
+if (providerConfig.problems.length) {
+  providerConfig.problems.forEach(p => console.error(`❌ ${p}`));
   process.exit(1);
 }
+console.log(`📡 Data providers: ${providerConfig.providers.join(', ')}`);
 
+app.use(httpMetrics);
 app.use(cors());
+app.use(express.json({ limit: '5mb' })); // browser imports can be large
 
 // serve /public
 app.use(express.static(path.join(__dirname, 'public')));
 
-// health
-app.get('/healthz', (req, res) => res.json({ ok: true }));
+// modules shared by the browser and the server (trading calendar, indicators, pivots)
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
+
+// health: 503 only when the cache can't be written; overdue or failed warm-ups and
+// provider backoff come back as warnings
+app.get('/healthz', async (req, res) => {
+  try {
+    const health = await getHealth();
+    res.status(health.ok ? 200 : 503).json(health);
+  } catch (err) {
+    res.status(503).json({ ok: false, problems: [err.message], warnings: [] });
+  }
+});
+
+// Prometheus scrape target: upstream request counts and latency, cache hit/miss, HTTP
+// traffic, quota and cache gauges
+app.get('/metrics', async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(await renderMetrics());
+  } catch (err) {
+    res.status(500).type('text/plain').send(`# metrics error: ${err.message}\n`);
+  }
+});
+
+// ---- Status page data (public/status.html): every cached series, the last warm-up runs
+// and the upstream quota, plus a search over the structured logs, e.g.
+// /api/status/logs?level=warn&symbol=AAPL&q=timeout&since=2025-09-20&limit=200
+app.get('/api/status', async (req, res) => {
+  try {
+    res.json(await getStatus());
+  } catch (err) {
+    console.error('🩺 Status error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+app.get('/api/status/logs', async (req, res) => {
+  try {
+    const { q, level, event, symbol, since, limit } = req.query;
+    res.json(await searchLogs({ q, level, event, symbol, since, limit: limit || undefined }));
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    console.error('🩺 Log search error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
 
 // Production-grade delta caching now handled by cache.js
 // Eliminates rate limiting issues with intelligent delta updates
 
 // Enhanced data API with multi-timeframe support and delta caching
-app.get('/api/data', async (req, res) => {
+// Split/dividend adjusted prices unless the client asks for ?adjusted=false
+function wantsAdjusted(req) {
+  return !['false', '0', 'no'].includes(String(req.query.adjusted ?? 'true').toLowerCase());
+}
+
+const gzip = promisify(zlib.gzip);
+
+// Bar payloads are large and mostly unchanged between EOD refreshes: send them with a
+// content-hash ETag (clients revalidate and get a 304 when nothing moved) and gzip them
+// when the client accepts it
+async function sendBarsJson(req, res, body) {
+  const json = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+  res.set({ ETag: etag, 'Cache-Control': 'no-cache', Vary: 'Accept-Encoding' });
+  if (req.fresh) return res.status(304).end();
+
+  res.type('json');
+  if (json.length > 1024 && req.acceptsEncodings('gzip')) {
+    res.set('Content-Encoding', 'gzip');
+    return res.send(await gzip(json));
+  }
+  res.send(json);
+}
+
+// Bars for one symbol and timeframe:
+//   { symbol, timeframe, adjusted, bars: [{ time, open, high, low, close, volume }] }
+// `time` is unix seconds (what the charts take); `days` is the number of bars, up to 4000
+// (11+ years of daily history). /eod is the older daily-only route, now the same endpoint.
+// symbol can be a ratio of two symbols (AAPL/SPY or AAPL:SPY), built from both cached series.
+app.get(['/api/data', '/eod'], async (req, res) => {
   try {
-    const symbol = (req.query.symbol || 'AAPL').toUpperCase();
-    const timeframe = req.query.timeframe || '1D';
-    
-    // Deep history support: up to 4000 days (11+ years)
-    let days = parseInt(req.query.days || '4000', 10);
-    days = Math.min(days, 4000); // Cap at 4000 days for performance
+    const symbol = normalizeChartSymbol(req.query.symbol || 'AAPL');
+    if (!symbol) {
+      return res.status(400).json({ error: 'invalid_request', detail: `Invalid symbol: ${req.query.symbol}` });
+    }
+    const timeframe = String(req.query.timeframe || '1D').toUpperCase();
+    const days = Math.min(parseInt(req.query.days || '4000', 10) || 4000, 4000);
     
     // Use production-grade multi-timeframe caching
-    const result = await getBarsCached(symbol, days, timeframe);
-    
-    // Transform to frontend format
-    const transformedData = result.data.map(bar => ({
-      date: bar.time,
-      open: parseFloat(bar.open),
-      high: parseFloat(bar.high), 
-      low: parseFloat(bar.low),
-      close: parseFloat(bar.close),
-      volume: bar.volume || 0
-    }));
+    const result = await getBarsCached(symbol, days, timeframe, { adjusted: wantsAdjusted(req), priority: 'interactive' });
+    const bars = toChartBars(result.data);
 
-    console.log(`✅ Served ${transformedData.length} bars for ${symbol} ${timeframe}`);
-    res.json(transformedData);
+    console.log(`✅ Served ${bars.length} bars for ${symbol} ${timeframe}${result.adjusted ? '' : ' (raw)'}`);
+    await sendBarsJson(req, res, { symbol, timeframe, adjusted: result.adjusted, bars });
 
   } catch (err) {
+    if (err.code === 'unknown_symbol') {
+      return res.status(404).json({ error: 'unknown_symbol', detail: err.message });
+    }
     console.error('📡 Data API error:', err);
     res.status(500).json({ 
       error: 'server_error', 
@@ -61,30 +154,323 @@ app.get('/api/data', async (req, res) => {
   }
 });
 
-// Legacy EOD endpoint with delta caching (backward compatibility)
-app.get('/eod', async (req, res) => {
+// Last N bars plus last price/change for many symbols in one response (the mini-chart board), e.g.
+// /api/summary?symbols=AAPL,MSFT&bars=60&timeframe=1D
+app.get('/api/summary', async (req, res) => {
   try {
-    const symbol = (req.query.symbol || 'AAPL').toUpperCase();
-    const days = Math.min(parseInt(req.query.days || '600', 10), 2000);
+    const result = await summarizeSymbols({
+      symbols: req.query.symbols ? String(req.query.symbols).split(',') : [],
+      timeframe: req.query.timeframe || '1D',
+      bars: req.query.bars || undefined,
+      adjusted: wantsAdjusted(req)
+    });
+    await sendBarsJson(req, res, result);
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    console.error('📊 Summary error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
 
-    // Use production-grade delta caching (always daily for legacy compatibility)
-    const result = await getBarsCached(symbol, days, '1d');
-    
-    const data = result.data.map(d => ({
-      time: Math.floor(new Date(d.time).getTime() / 1000),
-      open: d.open,
-      high: d.high,
-      low: d.low,
-      close: d.close
+// ---- Symbol metadata: autocomplete matches for a ticker prefix or company name, e.g.
+// /api/symbols/search?q=goo&limit=8, and one symbol's metadata (404 if the provider
+// doesn't list it)
+app.get('/api/symbols/search', async (req, res) => {
+  try {
+    res.json(await symbols.searchSymbols(req.query.q, { limit: req.query.limit || undefined }));
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    console.error('🔎 Symbol search error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+app.get('/api/symbols/:symbol', async (req, res) => {
+  try {
+    res.json(await symbols.getSymbolInfo(req.params.symbol));
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    if (err.code === 'unknown_symbol') {
+      return res.status(404).json({ error: 'unknown_symbol', detail: err.message });
+    }
+    console.error('🔎 Symbol lookup error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+// Upstream API budget shared by the server and auto-update
+app.get('/api/quota', async (req, res) => {
+  try {
+    res.json(await getQuotaStatus());
+  } catch (err) {
+    console.error('📡 Quota status error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+// ---- Data quality of the daily cache: missing sessions, duplicate or out-of-order bars,
+// bad OHLC, zero-volume runs and price jumps, e.g. /api/quality?symbols=AAPL,MSFT&jump_pct=25
+// (every cached symbol without ?symbols). Repair refetches only the affected date ranges;
+// body { types?: ['missing_sessions', ...], jump_pct? }.
+app.get('/api/quality', async (req, res) => {
+  try {
+    res.json(await quality.checkSymbols({
+      symbols: req.query.symbols ? String(req.query.symbols).split(',') : null,
+      jumpPct: req.query.jump_pct
     }));
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    console.error('🩹 Quality check error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+app.get('/api/quality/:symbol', async (req, res) => {
+  try {
+    res.json(await quality.checkSymbol(req.params.symbol, { jumpPct: req.query.jump_pct }));
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    if (err.code === 'not_cached') {
+      return res.status(404).json({ error: 'not_cached', detail: err.message });
+    }
+    console.error('🩹 Quality check error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+app.post('/api/quality/:symbol/repair', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const types = body.types == null ? null : [body.types].flat().map(String);
+    const result = await quality.repairSymbol(req.params.symbol, { jumpPct: body.jump_pct, types });
+    res.json(result);
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    if (err.code === 'not_cached') {
+      return res.status(404).json({ error: 'not_cached', detail: err.message });
+    }
+    console.error('🩹 Quality repair error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+// Watchlist screener over cached bars, e.g.
+// /api/screen?symbols=AAPL,MSFT&timeframe=1D&filter=ema_dist_pct>0,near_level=true&sort=change_pct&order=desc
+// (symbols defaults to the watchlist named by ?list=<id>, else every saved watchlist;
+// screener.js DEFAULT_PARAMS can be overridden by name)
+app.get('/api/screen', async (req, res) => {
+  try {
+    const symbols = req.query.symbols ? String(req.query.symbols).split(',') : null;
+    const order = ['asc', 'desc'].includes(req.query.order) ? req.query.order : undefined;
+    const result = await runScreen({
+      symbols,
+      listId: req.query.list,
+      timeframe: req.query.timeframe || '1D',
+      adjusted: wantsAdjusted(req),
+      filter: req.query.filter,
+      sort: req.query.sort || 'symbol',
+      order,
+      params: req.query
+    });
+    console.log(`🔎 Screened ${result.total} symbols (${result.timeframe}): ${result.rows.length} matched`);
+    res.json(result);
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    console.error('🔎 Screen error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+// Suggested support/resistance levels and trendlines from swing pivots, e.g.
+// /api/suggestions?symbols=AAPL,MSFT&timeframes=1D,1W,1M&strength=5&tolerance=0.5
+// (symbols defaults to the watchlist named by ?list=<id>, else every saved watchlist;
+// shared/pivots.js DEFAULTS can be overridden by name)
+app.get('/api/suggestions', async (req, res) => {
+  try {
+    const result = await suggestLevels({
+      symbols: req.query.symbols ? String(req.query.symbols).split(',') : null,
+      listId: req.query.list,
+      timeframes: req.query.timeframes ? String(req.query.timeframes).split(',') : undefined,
+      adjusted: wantsAdjusted(req),
+      params: req.query
+    });
+    console.log(`📐 Suggested levels for ${result.charts.length} charts (${result.timeframes.join(', ')})`);
+    res.json(result);
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    console.error('📐 Suggestions error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+// Historical backtest of cross rules over cached bars. Body:
+// { symbol, timeframe, adjusted, rules?, horizons?: [1,5,20], direction?: 'both'|'up'|'down', from?, to? }
+app.post('/api/backtest', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await runBacktest({ ...body, adjusted: body.adjusted !== false });
+    console.log(`🧪 Backtest ${result.symbol} ${result.timeframe}: ${result.rules.length} rules, ${result.events.length} events over ${result.bars} bars`);
+    res.json(result);
+  } catch (err) {
+    if (err.code === 'invalid_request') {
+      return res.status(400).json({ error: 'invalid_request', detail: err.message });
+    }
+    console.error('🧪 Backtest error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
 
-    res.json({ symbol, data });
+// ---- Alerts API (configs are evaluated by auto-update.js after each EOD refresh)
+app.get('/api/alerts', async (req, res) => {
+  try {
+    res.json(await alerts.listAlerts());
+  } catch (err) {
+    console.error('🔔 Alerts API error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+app.get('/api/alerts/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+    res.json(await alerts.listHistory(limit));
+  } catch (err) {
+    console.error('🔔 Alert history error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+app.post('/api/alerts', async (req, res) => {
+  try {
+    const alert = await alerts.createAlert(req.body);
+    console.log(`🔔 Alert created: ${alert.symbol} ${alert.timeframe} ${alerts.describeAlertTarget(alert)}`);
+    res.status(201).json(alert);
+  } catch (err) {
+    res.status(400).json({ error: 'invalid_alert', detail: err.message });
+  }
+});
+
+app.delete('/api/alerts/:id', async (req, res) => {
+  try {
+    const removed = await alerts.deleteAlert(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'not_found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('🔔 Alert delete error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+app.post('/api/alerts/:id/acknowledge', async (req, res) => {
+  try {
+    const alert = await alerts.acknowledgeAlert(req.params.id);
+    if (!alert) return res.status(404).json({ error: 'not_found' });
+    res.json(alert);
+  } catch (err) {
+    console.error('🔔 Alert acknowledge error:', err);
+    res.status(500).json({ error: 'server_error', detail: err.message });
+  }
+});
+
+// ---- Drawings & watchlists API (server copy is shared across browsers/machines)
+function sendStoreError(res, err) {
+  if (err.code === 'conflict') {
+    return res.status(409).json({ error: 'conflict', detail: err.message, current: err.current });
+  }
+  res.status(400).json({ error: 'invalid_request', detail: err.message });
+}
+
+app.get('/api/drawings', async (req, res) => {
+  try {
+    res.json(await drawings.listDrawings());
   } catch (err) {
-    console.error('Proxy error:', err);
-    res.status(500).json({ error: 'proxy_error', detail: String(err) });
+    sendStoreError(res, err);
+  }
+});
+
+app.get('/api/drawings/:symbol/:timeframe', async (req, res) => {
+  try {
+    res.json(await drawings.getDrawings(req.params.symbol, req.params.timeframe));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.put('/api/drawings/:symbol/:timeframe', async (req, res) => {
+  try {
+    res.json(await drawings.saveDrawings(req.params.symbol, req.params.timeframe, req.body));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.get('/api/watchlist', async (req, res) => {
+  try {
+    res.json(await drawings.getWatchlist());
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.put('/api/watchlist', async (req, res) => {
+  try {
+    res.json(await drawings.saveWatchlist(req.body));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+// One-time import of a browser's localStorage drawings/watchlists
+app.post('/api/import-local', async (req, res) => {
+  try {
+    res.json(await drawings.importLocalData(req.body));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+// ---- Workspace files: watchlists, drawings and alerts (plus the browser's indicator
+// settings) in one versioned document, e.g. /api/workspace?symbols=AAPL,MSFT
+app.get('/api/workspace', async (req, res) => {
+  try {
+    const symbols = req.query.symbols ? String(req.query.symbols).split(',') : null;
+    res.json(await workspace.exportWorkspace({ symbols }));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+// Body: { workspace: <file contents>, mode?: 'merge'|'replace', symbols?: [...] }
+app.post('/api/workspace/import', async (req, res) => {
+  try {
+    const { workspace: file, mode, symbols } = req.body || {};
+    res.json(await workspace.importWorkspace(file, { mode, symbols }));
+  } catch (err) {
+    sendStoreError(res, err);
   }
 });
 
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`✅ EOD server running at http://0.0.0.0:${PORT}`);
+
+  // Move single-file caches into the segmented store (series are also migrated lazily on first read)
+  migrateLegacyCache()
+    .then(n => { if (n) console.log(`📦 Migrated ${n} legacy cache files`); })
+    .catch(err => console.error('📦 Cache migration failed:', err));
 });
\ No newline at end of file
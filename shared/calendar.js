@@ -0,0 +1,286 @@
+// shared/calendar.js - Exchange trading calendars (NYSE and 24/7 crypto)
+// Loaded by the server (require) and the browser (<script src="/shared/calendar.js">,
+// exposed as window.TradingCalendar). Holidays and early closes are computed from the
+// NYSE rules for each year, so nothing is fetched over the network.
+//
+// Dates are exchange-local 'YYYY-MM-DD' strings. Daily bars are stamped at midnight
+// UTC of their session date, so the first 10 chars of a bar time are its session.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TradingCalendar = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const EXCHANGE_TZ = 'America/New_York';
+
+  // Regular session open, close and early-close time, minutes after midnight ET
+  const OPEN_MINUTES = 9 * 60 + 30;
+  const CLOSE_MINUTES = 16 * 60;
+  const EARLY_CLOSE_MINUTES = 13 * 60;
+
+  // EOD bars show up upstream a while after the bell; don't call a session stale before then
+  const EOD_READY_DELAY_MINUTES = 120;
+
+  // One-off closures that no rule predicts (weather, national days of mourning, 9/11)
+  const SPECIAL_CLOSURES = {
+    '2001-09-11': 'September 11', '2001-09-12': 'September 11',
+    '2001-09-13': 'September 11', '2001-09-14': 'September 11',
+    '2004-06-11': 'Reagan day of mourning',
+    '2007-01-02': 'Ford day of mourning',
+    '2012-10-29': 'Hurricane Sandy', '2012-10-30': 'Hurricane Sandy',
+    '2018-12-05': 'Bush day of mourning',
+    '2025-01-09': 'Carter day of mourning'
+  };
+
+  // Symbols traded around the clock (daily bars every calendar day, UTC sessions)
+  const CRYPTO_RE = /^(BTC|ETH|SOL|DOGE|LTC|XRP|ADA|BCH|DOT|AVAX|LINK|MATIC|SHIB|XLM|UNI|ATOM|ETC|TRX)(USD|USDT|USDC|EUR|BTC)?$/;
+
+  const pad = n => String(n).padStart(2, '0');
+  const fmt = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`;
+
+  function parseYmd(ymd) {
+    const [y, m, d] = ymd.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+  }
+
+  const toYmd = date => date.toISOString().slice(0, 10);
+  const weekday = ymd => parseYmd(ymd).getUTCDay(); // 0 = Sunday
+
+  function addDays(ymd, n) {
+    const d = parseYmd(ymd);
+    d.setUTCDate(d.getUTCDate() + n);
+    return toYmd(d);
+  }
+
+  // nth (1-based) weekday of a month; n = -1 for the last one
+  function nthWeekday(year, month, dow, n) {
+    if (n > 0) {
+      const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+      return fmt(year, month, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0));
+    const back = (lastDay.getUTCDay() - dow + 7) % 7;
+    return fmt(year, month, lastDay.getUTCDate() - back);
+  }
+
+  // Anonymous Gregorian algorithm
+  function easterSunday(year) {
+    const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+    const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return fmt(year, month, day);
+  }
+
+  // Saturday holidays move to Friday, Sunday holidays to Monday
+  function observed(ymd) {
+    const dow = weekday(ymd);
+    if (dow === 6) return addDays(ymd, -1);
+    if (dow === 0) return addDays(ymd, 1);
+    return ymd;
+  }
+
+  const yearCache = new Map();
+
+  // { holidays: { ymd: name }, earlyCloses: { ymd: name } } for one year
+  function nyseYear(year) {
+    if (yearCache.has(year)) return yearCache.get(year);
+    const holidays = {};
+    const earlyCloses = {};
+
+    // NYSE doesn't close on Friday Dec 31 when New Year's Day falls on a Saturday
+    const newYear = fmt(year, 1, 1);
+    if (weekday(newYear) !== 6) holidays[observed(newYear)] = "New Year's Day";
+    if (year >= 1998) holidays[nthWeekday(year, 1, 1, 3)] = 'Martin Luther King Jr. Day';
+    holidays[nthWeekday(year, 2, 1, 3)] = "Washington's Birthday";
+    holidays[addDays(easterSunday(year), -2)] = 'Good Friday';
+    holidays[nthWeekday(year, 5, 1, -1)] = 'Memorial Day';
+    if (year >= 2022) holidays[observed(fmt(year, 6, 19))] = 'Juneteenth';
+    holidays[observed(fmt(year, 7, 4))] = 'Independence Day';
+    holidays[nthWeekday(year, 9, 1, 1)] = 'Labor Day';
+    const thanksgiving = nthWeekday(year, 11, 4, 4);
+    holidays[thanksgiving] = 'Thanksgiving Day';
+    holidays[observed(fmt(year, 12, 25))] = 'Christmas Day';
+    for (const [ymd, name] of Object.entries(SPECIAL_CLOSURES)) {
+      if (ymd.startsWith(`${year}-`)) holidays[ymd] = name;
+    }
+
+    // 1 pm closes: July 3 and Christmas Eve when they're ordinary weekdays, and Black Friday
+    const july3 = fmt(year, 7, 3);
+    if (weekday(july3) >= 1 && weekday(july3) <= 4 && !holidays[july3]) earlyCloses[july3] = 'Independence Day eve';
+    earlyCloses[addDays(thanksgiving, 1)] = 'Day after Thanksgiving';
+    const xmasEve = fmt(year, 12, 24);
+    if (weekday(xmasEve) >= 1 && weekday(xmasEve) <= 4 && !holidays[xmasEve]) earlyCloses[xmasEve] = 'Christmas Eve';
+
+    const result = { holidays, earlyCloses };
+    yearCache.set(year, result);
+    return result;
+  }
+
+  // Wall-clock date and minutes-after-midnight in a time zone
+  function zonedNow(now, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(now).forEach(p => { parts[p.type] = p.value; });
+    return {
+      ymd: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  const NYSE = {
+    name: 'NYSE',
+    timeZone: EXCHANGE_TZ,
+    holiday(ymd) {
+      return nyseYear(Number(ymd.slice(0, 4))).holidays[ymd] || null;
+    },
+    earlyClose(ymd) {
+      return nyseYear(Number(ymd.slice(0, 4))).earlyCloses[ymd] || null;
+    },
+    isTradingDay(ymd) {
+      const dow = weekday(ymd);
+      return dow !== 0 && dow !== 6 && !this.holiday(ymd);
+    },
+    // Minutes after midnight ET the session opens / closes (null if closed)
+    openMinutes(ymd) {
+      return this.isTradingDay(ymd) ? OPEN_MINUTES : null;
+    },
+    closeMinutes(ymd) {
+      if (!this.isTradingDay(ymd)) return null;
+      return this.earlyClose(ymd) ? EARLY_CLOSE_MINUTES : CLOSE_MINUTES;
+    },
+    now(now = new Date()) {
+      return zonedNow(now, EXCHANGE_TZ);
+    }
+  };
+
+  const CRYPTO = {
+    name: 'CRYPTO',
+    timeZone: 'UTC',
+    holiday: () => null,
+    earlyClose: () => null,
+    isTradingDay: () => true,
+    openMinutes: () => 0,
+    closeMinutes: () => 24 * 60, // UTC day boundary
+    now(now = new Date()) {
+      return { ymd: toYmd(now), minutes: now.getUTCHours() * 60 + now.getUTCMinutes() };
+    }
+  };
+
+  function calendarForSymbol(symbol) {
+    return CRYPTO_RE.test(String(symbol || '').toUpperCase()) ? CRYPTO : NYSE;
+  }
+
+  function previousTradingDay(cal, ymd) {
+    let d = addDays(ymd, -1);
+    while (!cal.isTradingDay(d)) d = addDays(d, -1);
+    return d;
+  }
+
+  function nextTradingDay(cal, ymd) {
+    let d = addDays(ymd, 1);
+    while (!cal.isTradingDay(d)) d = addDays(d, 1);
+    return d;
+  }
+
+  // The most recent session whose EOD bar should already be published
+  function lastCompletedSession(cal, now = new Date()) {
+    const { ymd, minutes } = cal.now(now);
+    const { readyMinutes } = sessionInfo(cal, ymd);
+    if (readyMinutes != null && minutes >= readyMinutes) return ymd;
+    return previousTradingDay(cal, ymd);
+  }
+
+  // Summary of one day's session for schedulers and status output
+  function sessionInfo(cal, ymd) {
+    const close = cal.closeMinutes(ymd);
+    const delay = cal === CRYPTO ? 0 : EOD_READY_DELAY_MINUTES;
+    return {
+      calendar: cal.name,
+      date: ymd,
+      tradingDay: cal.isTradingDay(ymd),
+      holiday: cal.holiday(ymd),
+      earlyClose: cal.earlyClose(ymd),
+      closeMinutes: close,
+      readyMinutes: close == null ? null : close + delay
+    };
+  }
+
+  // UTC instant of a wall-clock time in a zone ('YYYY-MM-DD', minutes after midnight).
+  // Guess with the zone's offset at the naive UTC instant, then correct once for DST edges.
+  function wallTimeToDate(ymd, minutes, timeZone) {
+    const naive = parseYmd(ymd).getTime() + minutes * 60000;
+    const offsetAt = t => {
+      const z = zonedNow(new Date(t), timeZone);
+      return (parseYmd(z.ymd).getTime() + z.minutes * 60000) - Math.floor(t / 60000) * 60000;
+    };
+    let t = naive - offsetAt(naive);
+    t = naive - offsetAt(t);
+    return new Date(t);
+  }
+
+  function isSessionOpen(cal, now = new Date()) {
+    const { ymd, minutes } = cal.now(now);
+    const open = cal.openMinutes(ymd);
+    return open != null && minutes >= open && minutes < cal.closeMinutes(ymd);
+  }
+
+  // When the most recent regular session ended (intraday data can't change after it)
+  function lastSessionClose(cal, now = new Date()) {
+    let { ymd, minutes } = cal.now(now);
+    if (!cal.isTradingDay(ymd) || minutes < cal.closeMinutes(ymd)) ymd = previousTradingDay(cal, ymd);
+    return wallTimeToDate(ymd, cal.closeMinutes(ymd), cal.timeZone);
+  }
+
+  // Start of the intraday bucket a bar falls in, counted from the session open rather than
+  // midnight (NYSE 1H: 9:30, 10:30, ... 15:30; 4H: 9:30, 13:30). Null outside the session.
+  function intradayBucket(time, cal, bucketMinutes) {
+    const date = typeof time === 'number' ? new Date(time * 1000) : new Date(time);
+    const { ymd, minutes } = cal.now(date);
+    const open = cal.openMinutes(ymd);
+    if (open == null || minutes < open || minutes >= cal.closeMinutes(ymd)) return null;
+    const start = open + Math.floor((minutes - open) / bucketMinutes) * bucketMinutes;
+    const ms = Math.floor(date.getTime() / 60000) * 60000 - (minutes - start) * 60000;
+    return new Date(ms).toISOString();
+  }
+
+  // Bucket keys for resampling: the Monday of the (Mon-Sun) week and the 1st of the month
+  function weekKey(ymd) {
+    return addDays(ymd, -((weekday(ymd) + 6) % 7));
+  }
+
+  function monthKey(ymd) {
+    return `${ymd.slice(0, 7)}-01`;
+  }
+
+  // Session date of a bar time (ISO string or epoch seconds). Intraday bars are
+  // mapped to their exchange-local date.
+  function sessionDate(time, cal = NYSE) {
+    const date = typeof time === 'number' ? new Date(time * 1000) : new Date(time);
+    if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0) return toYmd(date);
+    return cal.now(date).ymd;
+  }
+
+  return {
+    NYSE,
+    CRYPTO,
+    calendarForSymbol,
+    previousTradingDay,
+    nextTradingDay,
+    lastCompletedSession,
+    sessionInfo,
+    weekKey,
+    monthKey,
+    sessionDate,
+    addDays,
+    wallTimeToDate,
+    isSessionOpen,
+    lastSessionClose,
+    intradayBucket
+  };
+});
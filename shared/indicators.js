@@ -0,0 +1,623 @@
+// shared/indicators.js - Indicator library and crossing analysis engine
+// Loaded by the server (require) and the browser (<script src="/shared/indicators.js">,
+// exposed as window.Indicators), so the chart, the signals panel and the alert sweep
+// all compute exactly the same values.
+//
+// Bars are { time, open, high, low, close, volume } with epoch-second times. An indicator
+// is described by a spec { type, params } and produces one or more named lines, each an
+// array of { time, value } points (bars before the warm-up period are skipped).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Indicators = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const closes = bars => bars.map(b => b.close);
+
+  // Pair a value array (null = not enough data yet) with bar times
+  function toPoints(bars, values) {
+    const out = [];
+    for (let i = 0; i < bars.length; i++) {
+      if (Number.isFinite(values[i])) out.push({ time: bars[i].time, value: values[i] });
+    }
+    return out;
+  }
+
+  // ---- Raw series math (value arrays aligned with the input)
+  function smaValues(values, period) {
+    const out = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= period) sum -= values[i - period];
+      if (i >= period - 1) out[i] = sum / period;
+    }
+    return out;
+  }
+
+  // Seeded with the first value, as the chart always has been (no warm-up gap)
+  function emaValues(values, period) {
+    const out = new Array(values.length).fill(null);
+    const k = 2 / (period + 1);
+    let e = null;
+    for (let i = 0; i < values.length; i++) {
+      if (!Number.isFinite(values[i])) continue;
+      e = e == null ? values[i] : values[i] * k + e * (1 - k);
+      out[i] = e;
+    }
+    return out;
+  }
+
+  // Wilder's smoothing (RSI, ATR): SMA seed, then prev + (x - prev) / n
+  function wilderValues(values, period, start = 0) {
+    const out = new Array(values.length).fill(null);
+    if (values.length - start < period) return out;
+    let avg = 0;
+    for (let i = start; i < start + period; i++) avg += values[i];
+    avg /= period;
+    out[start + period - 1] = avg;
+    for (let i = start + period; i < values.length; i++) {
+      avg = avg + (values[i] - avg) / period;
+      out[i] = avg;
+    }
+    return out;
+  }
+
+  // ---- Indicators (bars in, { line: points } out)
+  function sma(bars, { period = 20 } = {}) {
+    return { value: toPoints(bars, smaValues(closes(bars), period)) };
+  }
+
+  function ema(bars, { period = 200 } = {}) {
+    return { value: toPoints(bars, emaValues(closes(bars), period)) };
+  }
+
+  function bollinger(bars, { period = 20, mult = 2 } = {}) {
+    const c = closes(bars);
+    const mid = smaValues(c, period);
+    const upper = [], lower = [];
+    for (let i = 0; i < c.length; i++) {
+      if (mid[i] == null) { upper.push(null); lower.push(null); continue; }
+      let v = 0;
+      for (let k = i - period + 1; k <= i; k++) v += (c[k] - mid[i]) * (c[k] - mid[i]);
+      const sd = Math.sqrt(v / period);
+      upper.push(mid[i] + mult * sd);
+      lower.push(mid[i] - mult * sd);
+    }
+    return { upper: toPoints(bars, upper), middle: toPoints(bars, mid), lower: toPoints(bars, lower) };
+  }
+
+  function rsi(bars, { period = 14 } = {}) {
+    const c = closes(bars);
+    const gains = [0], losses = [0];
+    for (let i = 1; i < c.length; i++) {
+      const d = c[i] - c[i - 1];
+      gains.push(Math.max(d, 0));
+      losses.push(Math.max(-d, 0));
+    }
+    const avgGain = wilderValues(gains, period, 1);
+    const avgLoss = wilderValues(losses, period, 1);
+    const out = avgGain.map((g, i) => {
+      if (g == null) return null;
+      return avgLoss[i] === 0 ? 100 : 100 - 100 / (1 + g / avgLoss[i]);
+    });
+    return { value: toPoints(bars, out) };
+  }
+
+  function macd(bars, { fast = 12, slow = 26, signal = 9 } = {}) {
+    const c = closes(bars);
+    const fastE = emaValues(c, fast);
+    const slowE = emaValues(c, slow);
+    // Skip the first slow-1 bars so the line doesn't start with an unsettled EMA
+    const line = c.map((_, i) => (i >= slow - 1 ? fastE[i] - slowE[i] : null));
+    const sig = emaValues(line, signal);
+    const hist = line.map((v, i) => (v == null || sig[i] == null ? null : v - sig[i]));
+    return { macd: toPoints(bars, line), signal: toPoints(bars, sig), histogram: toPoints(bars, hist) };
+  }
+
+  function atr(bars, { period = 14 } = {}) {
+    const tr = bars.map((b, i) => {
+      if (i === 0) return b.high - b.low;
+      const pc = bars[i - 1].close;
+      return Math.max(b.high - b.low, Math.abs(b.high - pc), Math.abs(b.low - pc));
+    });
+    return { value: toPoints(bars, wilderValues(tr, period)) };
+  }
+
+  // Index of the first bar on/after an anchor: a 'YYYY-MM-DD' date, or 'ytd' / 'qtd' / 'mtd'
+  function anchorIndex(bars, anchor) {
+    if (!bars.length) return 0;
+    const lastYmd = new Date(bars[bars.length - 1].time * 1000).toISOString().slice(0, 10);
+    let from = String(anchor || 'ytd').toLowerCase();
+    if (from === 'ytd') from = `${lastYmd.slice(0, 4)}-01-01`;
+    else if (from === 'mtd') from = `${lastYmd.slice(0, 7)}-01`;
+    else if (from === 'qtd') {
+      const q = Math.floor((Number(lastYmd.slice(5, 7)) - 1) / 3) * 3 + 1;
+      from = `${lastYmd.slice(0, 4)}-${String(q).padStart(2, '0')}-01`;
+    }
+    const t = Date.parse(`${from}T00:00:00Z`) / 1000;
+    if (!Number.isFinite(t)) return 0;
+    const i = bars.findIndex(b => b.time >= t);
+    return i === -1 ? bars.length : i;
+  }
+
+  // Anchored VWAP on typical price. Bars without volume are weighted equally.
+  function avwap(bars, { anchor = 'ytd' } = {}) {
+    const start = anchorIndex(bars, anchor);
+    const out = new Array(bars.length).fill(null);
+    let pv = 0, vol = 0;
+    for (let i = start; i < bars.length; i++) {
+      const b = bars[i];
+      const w = b.volume > 0 ? b.volume : 1;
+      pv += ((b.high + b.low + b.close) / 3) * w;
+      vol += w;
+      out[i] = pv / vol;
+    }
+    return { value: toPoints(bars, out) };
+  }
+
+  function volume(bars) {
+    return { value: toPoints(bars, bars.map(b => (Number.isFinite(b.volume) ? b.volume : null))) };
+  }
+
+  // ---- Registry
+  // pane: 'price' lines share the candle scale and are compared with the close;
+  // anything else gets its own strip below the candles and is compared with
+  // a threshold (guides) or with another of its lines (vs).
+  // units: how a threshold behaves when history is rescaled for a split/dividend.
+  const TYPES = {
+    sma: {
+      label: p => `SMA(${p.period})`,
+      defaults: { period: 50 },
+      pane: 'price',
+      units: 'price',
+      compute: sma,
+      lines: [{ key: 'value', color: '#a78bfa' }]
+    },
+    ema: {
+      label: p => `EMA(${p.period})`,
+      defaults: { period: 200 },
+      pane: 'price',
+      units: 'price',
+      compute: ema,
+      lines: [{ key: 'value', color: '#60a5fa', width: 2 }]
+    },
+    bb: {
+      label: p => `BB(${p.period},${p.mult})`,
+      defaults: { period: 20, mult: 2 },
+      pane: 'price',
+      units: 'price',
+      compute: bollinger,
+      floats: ['mult'],
+      lines: [
+        { key: 'upper', color: '#f59e0b' },
+        { key: 'middle', color: '#f59e0b', style: 2 },
+        { key: 'lower', color: '#f59e0b' }
+      ]
+    },
+    avwap: {
+      label: p => `AVWAP(${p.anchor})`,
+      defaults: { anchor: 'ytd' },
+      pane: 'price',
+      units: 'price',
+      compute: avwap,
+      lines: [{ key: 'value', color: '#22d3ee' }]
+    },
+    rsi: {
+      label: p => `RSI(${p.period})`,
+      defaults: { period: 14 },
+      pane: 'oscillator',
+      units: 'ratio',
+      compute: rsi,
+      lines: [{ key: 'value', color: '#e879f9', guides: [30, 70] }]
+    },
+    macd: {
+      label: p => `MACD(${p.fast},${p.slow},${p.signal})`,
+      defaults: { fast: 12, slow: 26, signal: 9 },
+      pane: 'oscillator',
+      units: 'price',
+      compute: macd,
+      lines: [
+        { key: 'macd', color: '#60a5fa', vs: 'signal' },
+        { key: 'signal', color: '#f97316' },
+        { key: 'histogram', color: '#64748b', histogram: true }
+      ]
+    },
+    atr: {
+      label: p => `ATR(${p.period})`,
+      defaults: { period: 14 },
+      pane: 'oscillator',
+      units: 'price',
+      compute: atr,
+      lines: [{ key: 'value', color: '#facc15' }]
+    },
+    volume: {
+      label: () => 'Volume',
+      defaults: {},
+      pane: 'volume',
+      units: 'volume',
+      compute: volume,
+      lines: [{ key: 'value', color: '#475569', histogram: true }]
+    }
+  };
+
+  // Fill in defaults and coerce numeric params; unknown types throw
+  function normalizeSpec(spec) {
+    const def = TYPES[spec?.type];
+    if (!def) throw new Error(`Unknown indicator type: ${spec?.type}`);
+    const params = { ...def.defaults };
+    for (const [k, v] of Object.entries(spec.params || {})) {
+      if (!(k in def.defaults)) continue;
+      if (typeof def.defaults[k] === 'number') {
+        const n = Number(v);
+        if (!Number.isFinite(n) || n <= 0) throw new Error(`Invalid ${spec.type} ${k}: ${v}`);
+        params[k] = (def.floats || []).includes(k) ? n : Math.round(n);
+      } else {
+        params[k] = String(v);
+      }
+    }
+    return { type: spec.type, params };
+  }
+
+  function describe(spec) {
+    const s = normalizeSpec(spec);
+    return TYPES[s.type].label(s.params);
+  }
+
+  // Stable id for one line of an indicator (used to dedupe alerts), e.g. 'bb(20,2):upper'
+  function lineKey(spec, line) {
+    return `${describe(spec).toLowerCase()}:${line}`;
+  }
+
+  function computeIndicator(spec, bars) {
+    const s = normalizeSpec(spec);
+    return TYPES[s.type].compute(bars || [], s.params);
+  }
+
+  // ---- Crossing analysis
+  function crossed(prevA, prevB, curA, curB) {
+    if ([prevA, prevB, curA, curB].some(v => !Number.isFinite(v))) return false;
+    const d1 = prevA - prevB, d2 = curA - curB;
+    return (d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0);
+  }
+
+  // Calculate value on trendline at specific time (epoch seconds)
+  function valueOnTrendAt(tr, t) {
+    if (tr.endTime === tr.startTime) return tr.startPrice;
+    const m = (tr.endPrice - tr.startPrice) / (tr.endTime - tr.startTime);
+    return tr.startPrice + m * (t - tr.startTime);
+  }
+
+  // Position of a against b over the last two points: cross_up / cross_down / above / below
+  function crossDir(prevA, prevB, curA, curB) {
+    if (![prevA, prevB, curA, curB].every(Number.isFinite)) return null;
+    if (crossed(prevA, prevB, curA, curB)) return curA > curB ? 'cross_up' : 'cross_down';
+    return curA >= curB ? 'above' : 'below';
+  }
+
+  // ---- Signal rules: when a line counts as hit. Levels, trendlines and price-pane indicator
+  // lines may carry a `rule`; without one the close crossing the line is the signal.
+  //   { type: 'cross' }                close-to-close cross
+  //   { type: 'touch' }                the wick reaches the line, the close stays on its side
+  //   { type: 'near', pct: 0.5 }       close within pct % of the line ({ atr: 1 }: within 1 ATR(14))
+  //   { type: 'confirm', bars: 2 }     `bars` closes in a row beyond the line after a cross
+  //   { type: 'retest', within: 10 }   first wick back to the line within `within` bars of a
+  //                                    cross, with the close holding the side it broke to
+  // Besides cross_up/cross_down/above/below they report touch_above/touch_below,
+  // near_above/near_below, pending_up/pending_down then confirmed_up/confirmed_down, and
+  // retest_up/retest_down. A cross still shows as one under touch, near and retest.
+  const RULE_TYPES = {
+    cross: { label: 'Close cross', defaults: {} },
+    touch: { label: 'Wick touch', defaults: {} },
+    near: { label: 'Within %', defaults: { pct: 0.5 } },
+    confirm: { label: 'N closes beyond', defaults: { bars: 2 } },
+    retest: { label: 'Retest after break', defaults: { within: 10 } }
+  };
+  const RULE_LIMITS = { pct: [0.01, 20], atr: [0.05, 10], bars: [2, 20], within: [1, 100] };
+  const RULE_ATR_PERIOD = 14;
+
+  // Fill in defaults and check ranges; null/undefined is the plain cross. Unknown types throw.
+  function normalizeRule(rule) {
+    const type = rule?.type || 'cross';
+    if (!RULE_TYPES[type]) throw new Error(`Unknown signal rule: ${type}`);
+    const out = { type };
+    const keys = type === 'near' && rule.atr != null ? ['atr'] : Object.keys(RULE_TYPES[type].defaults);
+    for (const k of keys) {
+      const v = Number(rule?.[k] ?? RULE_TYPES[type].defaults[k]);
+      const [min, max] = RULE_LIMITS[k];
+      if (!Number.isFinite(v) || v < min || v > max) throw new Error(`Invalid ${type} ${k}: ${rule[k]} (${min}-${max})`);
+      out[k] = k === 'bars' || k === 'within' ? Math.round(v) : v;
+    }
+    return out;
+  }
+
+  // Signals keep working when a saved rule is unreadable: it falls back to the cross
+  function ruleOrCross(rule) {
+    try {
+      return normalizeRule(rule);
+    } catch {
+      return { type: 'cross' };
+    }
+  }
+
+  function describeRule(rule) {
+    const r = ruleOrCross(rule);
+    if (r.type === 'near') return r.atr != null ? `within ${r.atr} ATR` : `within ${r.pct}%`;
+    if (r.type === 'confirm') return `${r.bars} closes`;
+    if (r.type === 'retest') return `retest ≤${r.within} bars`;
+    return r.type;
+  }
+
+  // Which side of the line the close ended on for a signal dir
+  const signalSide = dir => (/(_up|above)$/.test(dir) ? 'above' : 'below');
+
+  // Dirs that mark something happening on the bar, as opposed to a position
+  const isSignalEvent = dir => /^(cross|touch|confirmed|retest)_/.test(dir);
+
+  // ATR(14) at bar i, computed on first use
+  function atrLookup(bars) {
+    let byTime = null;
+    return i => {
+      if (!byTime) byTime = new Map(atr(bars, { period: RULE_ATR_PERIOD }).value.map(p => [p.time, p.value]));
+      return byTime.get(bars[i].time) ?? NaN;
+    };
+  }
+
+  // Dir for the last bar against a line (lineAt(i) is the line's value at bar i) under a
+  // normalized rule, or null when the line has no value on the last two bars
+  function evaluateRule(bars, lineAt, rule, atrAt = atrLookup(bars)) {
+    const N = bars.length;
+    const bar = bars[N - 1];
+    const y = lineAt(N - 1);
+    const base = crossDir(bars[N - 2].close, lineAt(N - 2), bar.close, y);
+    if (!base || base.startsWith('cross') || rule.type === 'cross') return base;
+
+    const s = base === 'above' ? 1 : -1;
+    const side = i => Math.sign(bars[i].close - lineAt(i));
+    const tagged = i => (s > 0 ? bars[i].low <= lineAt(i) : bars[i].high >= lineAt(i));
+
+    if (rule.type === 'touch') return tagged(N - 1) ? `touch_${base}` : base;
+
+    if (rule.type === 'near') {
+      const limit = rule.atr != null ? rule.atr * atrAt(N - 1) : Math.abs(y) * rule.pct / 100;
+      return Math.abs(bar.close - y) <= limit ? `near_${base}` : base;
+    }
+
+    if (rule.type === 'confirm') {
+      // Closes in a row on this side, counting back to the cross that started them
+      if (side(N - 1) !== s) return base;
+      let k = 0;
+      while (k <= rule.bars && N - 1 - k >= 0 && side(N - 1 - k) === s) k++;
+      if (N - 1 - k < 0 || side(N - 1 - k) !== -s) return base;
+      if (k === rule.bars) return s > 0 ? 'confirmed_up' : 'confirmed_down';
+      return k < rule.bars ? (s > 0 ? 'pending_up' : 'pending_down') : base;
+    }
+
+    if (rule.type === 'retest') {
+      // j: the bar that broke through, at most `within` bars back, with every close since on its side
+      if (side(N - 1) !== s) return base;
+      let j = N - 1;
+      while (j > 0 && N - 1 - j < rule.within && side(j - 1) === s) j--;
+      if (j === 0 || side(j - 1) !== -s || !tagged(N - 1)) return base;
+      for (let i = j + 1; i < N - 1; i++) {
+        if (tagged(i)) return base; // only the first return to the line is the retest
+      }
+      return s > 0 ? 'retest_up' : 'retest_down';
+    }
+    return base;
+  }
+
+  // Last two values of a line, aligned to the last two bars (null if the line hasn't started)
+  function lastTwo(points, bars) {
+    const N = bars.length;
+    const cur = points.at(-1), prev = points.at(-2);
+    if (!cur || !prev || cur.time !== bars[N - 1].time || prev.time !== bars[N - 2].time) return null;
+    return [prev.value, cur.value];
+  }
+
+  // Signal for one indicator line on the last bar. Price-pane lines compare the close
+  // with the line under `rule` (default: spec.rule, else the cross); other lines compare
+  // the line with a threshold (if given), with the line named by `vs`, or with each of
+  // their guides.
+  function evaluateIndicatorLine(bars, spec, line, { threshold = null, computed = null, rule = spec?.rule, atrAt } = {}) {
+    const N = bars.length;
+    if (N < 2) return null;
+    const s = normalizeSpec(spec);
+    const def = TYPES[s.type];
+    const lineDef = def.lines.find(l => l.key === line);
+    if (!lineDef) return null;
+    const lines = computed || def.compute(bars, s.params);
+    const vals = lastTwo(lines[line] || [], bars);
+    if (!vals) return null;
+    const [prev, cur] = vals;
+    const base = { line, value: cur };
+
+    if (def.pane === 'price') {
+      const r = ruleOrCross(rule);
+      const values = new Map((lines[line] || []).map(p => [p.time, p.value]));
+      const dir = evaluateRule(bars, i => values.get(bars[i].time) ?? NaN, r, atrAt);
+      return dir && { ...base, dir, against: 'close', rule: r };
+    }
+    if (Number.isFinite(threshold)) {
+      const dir = crossDir(prev, threshold, cur, threshold);
+      return dir && { ...base, dir, against: threshold };
+    }
+    if (lineDef.vs) {
+      const other = lastTwo(lines[lineDef.vs] || [], bars);
+      const dir = other && crossDir(prev, other[0], cur, other[1]);
+      return dir && { ...base, dir, against: lineDef.vs };
+    }
+    // Report a guide crossing, otherwise where the line sits against the outer guides
+    for (const g of lineDef.guides || []) {
+      if (crossed(prev, g, cur, g)) return { ...base, dir: cur > g ? 'cross_up' : 'cross_down', against: g };
+    }
+    const guides = lineDef.guides || [];
+    if (guides.length > 1 && cur > Math.max(...guides)) return { ...base, dir: 'above', against: Math.max(...guides) };
+    if (guides.length > 1 && cur < Math.min(...guides)) return { ...base, dir: 'below', against: Math.min(...guides) };
+    return null;
+  }
+
+  // Every line of every indicator that has something to say on the last bar
+  function evaluateIndicators(bars, specs = [], atrAt = atrLookup(bars)) {
+    const out = [];
+    for (const spec of specs) {
+      let s;
+      try { s = normalizeSpec(spec); } catch { continue; }
+      const def = TYPES[s.type];
+      const computed = def.compute(bars, s.params);
+      for (const l of def.lines) {
+        // Lines with nothing to compare against (ATR, volume, MACD signal/histogram) only
+        // produce signals when an alert gives them a threshold
+        if (def.pane !== 'price' && !l.vs && !(l.guides || []).length) continue;
+        const r = evaluateIndicatorLine(bars, s, l.key, { computed, rule: spec.rule, atrAt });
+        if (r) out.push({ id: spec.id || lineKey(s, l.key), label: describe(s), ...r });
+      }
+    }
+    return out;
+  }
+
+  // Legacy toggles (useEMA200 / useBB) expressed as indicator specs
+  const LEGACY_SPECS = {
+    ema200: { type: 'ema', params: { period: 200 } },
+    bb20: { type: 'bb', params: { period: 20, mult: 2 } }
+  };
+
+  // ---- Drawings as signal targets
+  // Rays, channels, Fib retracements, zones and notes are kept with the trendlines: the same
+  // { id, startTime, startPrice, endTime, endPrice } record plus a `kind` - 'ray', 'hray'
+  // (start == end), 'channel' (with `offset`, the parallel edge's price distance), 'fib',
+  // 'zone' (opposite corners), 'note' (with `text`). Plain trendlines have no kind.
+  const FIB_RATIOS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+  // Retracement prices, from the end anchor (0%) back to the start anchor (100%)
+  function fibLevels(d) {
+    return FIB_RATIOS.map(ratio => ({ ratio, price: d.endPrice - (d.endPrice - d.startPrice) * ratio }));
+  }
+
+  // The parallel edge of a channel, as a plain trendline
+  function channelEdge(d) {
+    return { id: `${d.id}:edge`, startTime: d.startTime, startPrice: d.startPrice + d.offset, endTime: d.endTime, endPrice: d.endPrice + d.offset };
+  }
+
+  // Split trendline-store drawings into the lines, levels and zones signals run against
+  function drawingTargets(drawings = []) {
+    const out = { levels: [], trends: [], zones: [] };
+    for (const d of drawings) {
+      const name = d.label || null;
+      if (d.kind === 'fib') {
+        for (const f of fibLevels(d)) {
+          out.levels.push({ id: `${d.id}:${f.ratio}`, price: f.price, label: `${name || 'Fib'} ${(f.ratio * 100).toFixed(1)}%`, rule: d.rule });
+        }
+      } else if (d.kind === 'zone') {
+        out.zones.push({
+          id: d.id,
+          top: Math.max(d.startPrice, d.endPrice),
+          bottom: Math.min(d.startPrice, d.endPrice),
+          from: Math.min(d.startTime, d.endTime),
+          label: name
+        });
+      } else if (d.kind === 'channel' && Number.isFinite(d.offset)) {
+        const [base, edge] = d.offset > 0 ? ['lower', 'upper'] : ['upper', 'lower'];
+        out.trends.push({ ...d, label: `${name || 'Channel'} ${base}` });
+        out.trends.push({ ...channelEdge(d), label: `${name || 'Channel'} ${edge}`, rule: d.rule });
+      } else if (d.kind !== 'note') {
+        out.trends.push(d);
+      }
+    }
+    return out;
+  }
+
+  // The close against a price zone over the last two bars: enter, exit_up/exit_down,
+  // cross_up/cross_down (straight through), otherwise inside/above/below.
+  // A zone applies from its first anchor on.
+  function evaluateZone(bars, zone) {
+    const N = bars.length;
+    if (N < 2 || bars[N - 1].time < zone.from) return null;
+    const side = close => (close > zone.top ? 1 : close < zone.bottom ? -1 : 0);
+    const prev = side(bars[N - 2].close);
+    const cur = side(bars[N - 1].close);
+    let dir;
+    if (cur === 0) dir = prev === 0 ? 'inside' : 'enter';
+    else if (prev === 0) dir = cur > 0 ? 'exit_up' : 'exit_down';
+    else if (prev !== cur) dir = cur > 0 ? 'cross_up' : 'cross_down';
+    else dir = cur > 0 ? 'above' : 'below';
+    return { id: zone.id, dir, top: zone.top, bottom: zone.bottom, label: zone.label || null };
+  }
+
+  // Main signal evaluation: indicators, levels, trendlines and zones on the last bar.
+  // `trends` may hold any trendline-store drawing (see drawingTargets). Levels, trendlines
+  // and indicator specs are judged by their own `rule` (see evaluateRule).
+  // opts.indicators is a list of specs; useEMA200/useBB are still honoured.
+  function evaluateCrossSuite(bars, levels = [], trends = [], opts = {}) {
+    const N = bars.length;
+    const out = { indicators: [], level: [], trend: [], zone: [] };
+    if (N < 2) return out;
+
+    const targets = drawingTargets(trends);
+    levels = [...levels, ...targets.levels];
+    trends = targets.trends;
+
+    const specs = [...(opts.indicators || [])];
+    if (opts.useEMA200) specs.push(LEGACY_SPECS.ema200);
+    if (opts.useBB) specs.push(LEGACY_SPECS.bb20);
+    const atrAt = atrLookup(bars);
+    out.indicators = evaluateIndicators(bars, specs, atrAt);
+
+    // Levels
+    for (const L of levels) {
+      const p = +L.price;
+      if (!Number.isFinite(p)) continue;
+      const rule = ruleOrCross(L.rule);
+      const dir = evaluateRule(bars, () => p, rule, atrAt);
+      out.level.push({ id: L.id, dir, price: p, label: L.label || null, rule });
+    }
+
+    // Trendlines (and rays, channel edges)
+    for (const tr of trends) {
+      const rule = ruleOrCross(tr.rule);
+      const dir = evaluateRule(bars, i => valueOnTrendAt(tr, bars[i].time), rule, atrAt);
+      if (!dir) continue;
+      out.trend.push({ id: tr.id, dir, price: valueOnTrendAt(tr, bars[N - 1].time), label: tr.label || null, rule });
+    }
+
+    for (const z of targets.zones) {
+      const r = evaluateZone(bars, z);
+      if (r) out.zone.push(r);
+    }
+
+    return out;
+  }
+
+  return {
+    TYPES,
+    LEGACY_SPECS,
+    sma,
+    ema,
+    bollinger,
+    rsi,
+    macd,
+    atr,
+    avwap,
+    volume,
+    normalizeSpec,
+    describe,
+    lineKey,
+    computeIndicator,
+    crossed,
+    valueOnTrendAt,
+    RULE_TYPES,
+    normalizeRule,
+    describeRule,
+    signalSide,
+    isSignalEvent,
+    evaluateRule,
+    evaluateIndicatorLine,
+    evaluateIndicators,
+    FIB_RATIOS,
+    fibLevels,
+    channelEdge,
+    drawingTargets,
+    evaluateZone,
+    evaluateCrossSuite
+  };
+});
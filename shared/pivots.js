@@ -0,0 +1,203 @@
+// shared/pivots.js - Swing pivots, support/resistance zones and candidate trendlines
+// Loaded by the server (require) and the browser (<script src="/shared/pivots.js"> after
+// indicators.js, exposed as window.Pivots), so the chart's suggestions and
+// /api/suggestions find the same lines.
+//
+// A pivot high (low) is a bar whose high (low) beats the `strength` bars on each side.
+// Pivots within `tolerance` ATR(14) of each other are clustered into levels, ranked by
+// touches weighted for recency. Trendlines are fitted through pairs of pivot lows
+// (support) or highs (resistance), kept while no close has broken them, and ranked the
+// same way by the pivots they pass through.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./indicators.js'));
+  else root.Pivots = factory(root.Indicators);
+})(typeof self !== 'undefined' ? self : this, function (Indicators) {
+  'use strict';
+
+  const DEFAULTS = {
+    strength: 5,       // bars on each side a pivot has to beat
+    tolerance: 0.5,    // zone width and line slack, in ATR(14)
+    minTouches: 2,     // pivots a level needs (trendlines need one more: any two make a line)
+    maxLevels: 8,
+    maxTrendlines: 4,
+    lookback: 500      // most recent bars analysed
+  };
+  const LIMITS = {
+    strength: [2, 50], tolerance: [0.05, 5], minTouches: [2, 20],
+    maxLevels: [0, 50], maxTrendlines: [0, 20], lookback: [50, 5000]
+  };
+  // Trendlines are tried through pairs of the most recent pivots of each type
+  const MAX_TREND_PIVOTS = 15;
+
+  // Defaults merged with overrides (numbers or numeric strings); out-of-range values throw
+  function normalizeOptions(opts = {}) {
+    const out = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+      if (opts[key] == null || opts[key] === '') continue;
+      const v = Number(opts[key]);
+      const [min, max] = LIMITS[key];
+      if (!Number.isFinite(v) || v < min || v > max) throw new Error(`Invalid ${key}: ${opts[key]} (${min}-${max})`);
+      out[key] = key === 'tolerance' ? v : Math.round(v);
+    }
+    return out;
+  }
+
+  const round = v => +v.toPrecision(6);
+
+  // { index, time, price, type: 'high' | 'low' }, oldest first. The last `strength` bars
+  // can't be pivots yet. On a flat top the first bar is the pivot.
+  function findPivots(bars, strength = DEFAULTS.strength) {
+    const out = [];
+    for (let i = strength; i < bars.length - strength; i++) {
+      let high = true;
+      let low = true;
+      for (let k = 1; k <= strength && (high || low); k++) {
+        if (bars[i - k].high >= bars[i].high || bars[i + k].high > bars[i].high) high = false;
+        if (bars[i - k].low <= bars[i].low || bars[i + k].low < bars[i].low) low = false;
+      }
+      if (high) out.push({ index: i, time: bars[i].time, price: bars[i].high, type: 'high' });
+      if (low) out.push({ index: i, time: bars[i].time, price: bars[i].low, type: 'low' });
+    }
+    return out;
+  }
+
+  // Last ATR(14), or the average bar range when there are too few bars for it
+  function averageRange(bars) {
+    const atr = Indicators.atr(bars, { period: 14 }).value;
+    const last = atr[atr.length - 1]?.value;
+    if (Number.isFinite(last) && last > 0) return last;
+    return bars.reduce((sum, b) => sum + (b.high - b.low), 0) / bars.length;
+  }
+
+  // A touch on the last bar counts 2, one on the first bar 1
+  const recencyWeight = (index, count) => 1 + (count > 1 ? index / (count - 1) : 1);
+
+  // Support/resistance levels from pivots: price is the cluster mean, top/bottom its range
+  function clusterLevels(pivots, bars, tolerance, { minTouches = DEFAULTS.minTouches, maxLevels = DEFAULTS.maxLevels } = {}) {
+    const N = bars.length;
+    const close = bars[N - 1].close;
+    const clusters = [];
+    for (const p of [...pivots].sort((a, b) => a.price - b.price)) {
+      const c = clusters[clusters.length - 1];
+      // Join the cluster below while near its mean and not stretching it past two tolerances
+      if (c && p.price - c.mean <= tolerance && p.price - c.points[0].price <= 2 * tolerance) {
+        c.points.push(p);
+        c.mean += (p.price - c.mean) / c.points.length;
+      } else {
+        clusters.push({ mean: p.price, points: [p] });
+      }
+    }
+
+    return clusters
+      .filter(c => c.points.length >= minTouches)
+      .map(({ mean, points }) => {
+        const byTime = [...points].sort((a, b) => a.index - b.index);
+        return {
+          id: `level:${round(mean)}`,
+          kind: mean <= close ? 'support' : 'resistance',
+          price: round(mean),
+          top: Math.max(...points.map(p => p.price)),
+          bottom: Math.min(...points.map(p => p.price)),
+          touches: points.length,
+          highs: points.filter(p => p.type === 'high').length,
+          lows: points.filter(p => p.type === 'low').length,
+          first_time: byTime[0].time,
+          last_time: byTime[byTime.length - 1].time,
+          score: +points.reduce((s, p) => s + recencyWeight(p.index, N), 0).toFixed(3)
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxLevels);
+  }
+
+  // Candidate trendlines through pivot pairs. A support line must stay under every low
+  // between its two anchors and under every close after them (resistance: over the highs
+  // and closes), give or take the tolerance.
+  function fitTrendlines(pivots, bars, tolerance, { minTouches = DEFAULTS.minTouches, maxTrendlines = DEFAULTS.maxTrendlines } = {}) {
+    const N = bars.length;
+    const lastTime = bars[N - 1].time;
+    const candidates = [];
+
+    for (const type of ['low', 'high']) {
+      const sign = type === 'low' ? 1 : -1; // price minus line stays >= -tolerance for support
+      const points = pivots.filter(p => p.type === type).slice(-MAX_TREND_PIVOTS);
+      for (let a = 0; a < points.length; a++) {
+        for (let b = a + 1; b < points.length; b++) {
+          const A = points[a];
+          const B = points[b];
+          const line = { startTime: A.time, startPrice: A.price, endTime: B.time, endPrice: B.price };
+          const at = t => Indicators.valueOnTrendAt(line, t);
+          if (!(at(lastTime) > 0)) continue;
+
+          let intact = true;
+          for (let i = A.index; i < N && intact; i++) {
+            const price = i <= B.index ? (type === 'low' ? bars[i].low : bars[i].high) : bars[i].close;
+            if (sign * (price - at(bars[i].time)) < -tolerance) intact = false;
+          }
+          if (!intact) continue;
+
+          const touching = points.slice(a).filter(p => Math.abs(p.price - at(p.time)) <= tolerance);
+          if (touching.length < minTouches + 1) continue;
+          const lastTouch = touching[touching.length - 1];
+          candidates.push({
+            id: `trend:${type === 'low' ? 'support' : 'resistance'}:${A.time}:${B.time}`,
+            kind: type === 'low' ? 'support' : 'resistance',
+            startTime: A.time,
+            startPrice: A.price,
+            endTime: lastTouch.time,
+            endPrice: round(at(lastTouch.time)),
+            price: round(at(lastTime)), // where the line is on the last bar
+            touches: touching.length,
+            last_time: lastTouch.time,
+            score: +touching.reduce((s, p) => s + recencyWeight(p.index, N), 0).toFixed(3)
+          });
+        }
+      }
+    }
+
+    // Best first; drop lines ending within the tolerance of a better one of the same kind
+    candidates.sort((x, y) => y.score - x.score || y.startTime - x.startTime);
+    const kept = [];
+    for (const c of candidates) {
+      if (kept.length >= maxTrendlines) break;
+      if (!kept.some(k => k.kind === c.kind && Math.abs(k.price - c.price) <= tolerance)) kept.push(c);
+    }
+    return kept;
+  }
+
+  // Everything for one chart: { tolerance, pivots, levels, trendlines }
+  function detectSupportResistance(bars, opts = {}) {
+    const o = normalizeOptions(opts);
+    const recent = bars.slice(-o.lookback);
+    if (recent.length < o.strength * 2 + 2) return { tolerance: null, pivots: [], levels: [], trendlines: [] };
+    const pivots = findPivots(recent, o.strength);
+    const tolerance = o.tolerance * averageRange(recent);
+    return {
+      tolerance,
+      pivots,
+      levels: clusterLevels(pivots, recent, tolerance, o),
+      trendlines: fitTrendlines(pivots, recent, tolerance, o)
+    };
+  }
+
+  // True when a saved level (or plain trendline) already covers a suggestion, i.e. lies
+  // within the tolerance of it (trendlines: at both of its ends)
+  function matchesDrawing(suggestion, { levels = [], trendlines = [] }, tolerance) {
+    if (suggestion.startTime == null) {
+      return levels.some(L => Math.abs(+L.price - suggestion.price) <= tolerance);
+    }
+    return trendlines.some(t => !t.kind &&
+      Math.abs(Indicators.valueOnTrendAt(t, suggestion.startTime) - suggestion.startPrice) <= tolerance &&
+      Math.abs(Indicators.valueOnTrendAt(t, suggestion.endTime) - suggestion.endPrice) <= tolerance);
+  }
+
+  return {
+    DEFAULTS,
+    normalizeOptions,
+    findPivots,
+    clusterLevels,
+    fitTrendlines,
+    detectSupportResistance,
+    matchesDrawing
+  };
+});
@@ -0,0 +1,35 @@
+// signals.js - Server-side entry point to the crossing analysis engine
+// The indicator math and evaluateCrossSuite live in shared/indicators.js, which the
+// front end loads too, so alerts fire on exactly the same conditions the signals panel shows.
+const {
+  crossed,
+  valueOnTrendAt,
+  computeIndicator,
+  evaluateIndicatorLine,
+  evaluateZone,
+  evaluateCrossSuite
+} = require('./shared/indicators.js');
+
+// Cached bars carry ISO date strings; drawings use epoch seconds like the chart
+function toChartBars(bars) {
+  return (bars || [])
+    .map(b => ({
+      time: typeof b.time === 'number' ? b.time : Math.floor(new Date(b.time).getTime() / 1000),
+      open: +b.open,
+      high: +b.high,
+      low: +b.low,
+      close: +b.close,
+      volume: +b.volume || 0
+    }))
+    .filter(b => Number.isFinite(b.time) && Number.isFinite(b.close));
+}
+
+module.exports = {
+  crossed,
+  valueOnTrendAt,
+  computeIndicator,
+  evaluateIndicatorLine,
+  evaluateZone,
+  toChartBars,
+  evaluateCrossSuite
+};
@@ -0,0 +1,89 @@
+// status.js - What the cache and the upstream budget are doing, for /api/status, /healthz,
+// /metrics and the admin page (public/status.html)
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const { CACHE_DIR } = require('./barstore.js');
+const { listCacheStatus } = require('./cache.js');
+const { getQuotaStatus } = require('./scheduler.js');
+const { listWarmRuns } = require('./auto-update.js');
+const { gauge } = require('./metrics.js');
+
+const STARTED_AT = new Date();
+const SERIES_STATES = ['fresh', 'stale', 'rate_limited', 'empty'];
+
+// Nightly runs: anything older than this means cron stopped firing
+const WARM_RUN_MAX_AGE_HOURS = 36;
+
+const uptime = () => Math.round((Date.now() - STARTED_AT.getTime()) / 1000);
+
+function countStates(series) {
+  const counts = Object.fromEntries(SERIES_STATES.map(s => [s, 0]));
+  for (const s of series) counts[s.state]++;
+  return counts;
+}
+
+async function getStatus() {
+  const [series, quota, warmRuns] = await Promise.all([listCacheStatus(), getQuotaStatus(), listWarmRuns()]);
+  return {
+    generated_at: new Date().toISOString(),
+    server: { pid: process.pid, started_at: STARTED_AT.toISOString(), uptime_s: uptime() },
+    quota,
+    warm_run: warmRuns[0] || null,
+    warm_runs: warmRuns.slice(1).map(({ id, started_at, finished_at, duration_s, symbols, success, errors }) => ({
+      id, started_at, finished_at, duration_s, symbols, success, errors: errors ? errors.length : null
+    })),
+    totals: {
+      series: series.length,
+      bars: series.reduce((n, s) => n + s.bars, 0),
+      ...countStates(series),
+      errors: series.filter(s => s.last_error).length
+    },
+    series
+  };
+}
+
+// ok is false (503) only when the cache can't be written; everything else that needs a
+// look (provider backoff, a failed or overdue warm-up) is listed under warnings
+async function getHealth() {
+  const problems = [];
+  const warnings = [];
+  try {
+    await fs.access(CACHE_DIR, constants.W_OK);
+  } catch (error) {
+    problems.push(`Cache directory not writable: ${error.message}`);
+  }
+
+  const quota = await getQuotaStatus();
+  if (quota.blocked_until) warnings.push(`Provider rate limited until ${quota.blocked_until}`);
+  if (!quota.remaining.day) warnings.push(`Daily API quota used up until ${quota.resets.day}`);
+
+  const [run] = await listWarmRuns();
+  if (run) {
+    const at = Date.parse(run.finished_at || run.started_at);
+    if (Date.now() - at > WARM_RUN_MAX_AGE_HOURS * 3600 * 1000) warnings.push(`Last warm-up run was ${run.started_at}`);
+    if (run.errors?.length) warnings.push(`Last warm-up run had ${run.errors.length} failed symbols`);
+  }
+  return { ok: !problems.length, uptime_s: uptime(), problems, warnings };
+}
+
+gauge('eod_uptime_seconds', 'Seconds since the server started', async () => [{ value: uptime() }]);
+
+gauge('eod_api_quota_remaining', 'Upstream API tokens left in the current window', async () => {
+  const quota = await getQuotaStatus();
+  return [{ labels: { window: 'hour' }, value: quota.remaining.hour }, { labels: { window: 'day' }, value: quota.remaining.day }];
+});
+
+gauge('eod_upstream_queue_depth', 'Upstream calls waiting for a quota token, by priority', async () => {
+  const { queue } = await getQuotaStatus();
+  return [{ labels: { priority: 'interactive' }, value: queue.interactive }, { labels: { priority: 'batch' }, value: queue.batch }];
+});
+
+gauge('eod_cache_series', 'Cached series by state', async () => {
+  const counts = countStates(await listCacheStatus({ countBars: false }));
+  return SERIES_STATES.map(state => ({ labels: { state }, value: counts[state] }));
+});
+
+module.exports = {
+  getStatus,
+  getHealth
+};
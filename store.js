@@ -0,0 +1,73 @@
+// store.js - Small file-backed JSON store shared by alerts, drawings, watchlists and the bar cache
+const fs = require('fs').promises;
+const path = require('path');
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// Write to a temp file and rename so readers (server, auto-update) never see a half-written file
+async function writeJson(file, data, { pretty = true } = {}) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data), 'utf8');
+  await fs.rename(tmp, file);
+}
+
+// Serialize read-modify-write cycles on the same file within this process
+const locks = new Map();
+function withLock(key, fn) {
+  const prev = locks.get(key) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return run;
+}
+
+// Serialize read-modify-write cycles on a file shared with the other process (server and
+// auto-update) by holding an exclusive `<file>.lock` around fn. A lock older than
+// STALE_LOCK_MS was left behind by a crashed process and is taken over.
+const STALE_LOCK_MS = 10 * 1000;
+const LOCK_RETRY_MS = 20;
+
+async function acquireLockFile(lockFile) {
+  await fs.mkdir(path.dirname(lockFile), { recursive: true });
+  for (;;) {
+    try {
+      await (await fs.open(lockFile, 'wx')).close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const stat = await fs.stat(lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) await fs.unlink(lockFile).catch(() => {});
+      else await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+}
+
+function withFileLock(file, fn) {
+  return withLock(file, async () => {
+    const lockFile = `${file}.lock`;
+    await acquireLockFile(lockFile);
+    try {
+      return await fn();
+    } finally {
+      await fs.unlink(lockFile).catch(() => {});
+    }
+  });
+}
+
+module.exports = {
+  DATA_DIR,
+  readJson,
+  writeJson,
+  withLock,
+  withFileLock
+};
@@ -0,0 +1,89 @@
+// suggestions.js - Suggested support/resistance levels and trendlines for the watchlist
+// Runs the shared pivot detection (shared/pivots.js, the same code behind the chart's
+// Suggest button) over cached bars for every symbol and timeframe, and flags suggestions
+// a saved drawing already covers.
+const { getBarsCached } = require('./cache.js');
+const drawings = require('./drawings.js');
+const { toChartBars } = require('./signals.js');
+const { normalizeChartSymbol } = require('./ratios.js');
+const { watchlistSymbols } = require('./screener.js');
+const { detectSupportResistance, normalizeOptions, matchesDrawing } = require('./shared/pivots.js');
+
+const TIMEFRAMES = ['1H', '4H', '1D', '1W', '1M'];
+const DEFAULT_TIMEFRAMES = ['1D', '1W', '1M'];
+const MAX_SYMBOLS = 100;
+
+// The chart builds weekly and monthly bars from ~4000 days of daily history; asking for
+// more would reach further back than what the chart shows
+const MAX_BARS = { '1W': 572, '1M': 134 };
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  return err;
+}
+
+async function suggestChart(symbol, timeframe, { adjusted, options }) {
+  const count = Math.min(options.lookback, MAX_BARS[timeframe] ?? Infinity);
+  const [series, doc] = await Promise.all([
+    getBarsCached(symbol, count, timeframe, { adjusted, priority: 'interactive' }),
+    drawings.getChartDrawings(symbol, timeframe)
+  ]);
+  const bars = toChartBars(series.data);
+  const found = detectSupportResistance(bars, options);
+  const saved = s => ({ ...s, saved: matchesDrawing(s, doc, found.tolerance) });
+  return {
+    symbol,
+    timeframe,
+    bars: bars.length,
+    close: bars.length ? bars[bars.length - 1].close : null,
+    tolerance: found.tolerance,
+    pivots: found.pivots.length,
+    levels: found.levels.map(saved),
+    trendlines: found.trendlines.map(saved)
+  };
+}
+
+// Suggestions for a symbol list (default: watchlist `listId`, or all watchlists) on each
+// of `timeframes`. `params` overrides shared/pivots.js DEFAULTS by name.
+async function suggestLevels({ symbols, listId, timeframes = DEFAULT_TIMEFRAMES, adjusted = true, params = {} } = {}) {
+  let options;
+  try {
+    options = normalizeOptions(params);
+  } catch (error) {
+    throw invalidRequest(error.message);
+  }
+  const tfs = [...new Set(timeframes.map(tf => String(tf).trim().toUpperCase()).filter(Boolean))];
+  const badTf = tfs.find(tf => !TIMEFRAMES.includes(tf));
+  if (badTf || !tfs.length) throw invalidRequest(`Invalid timeframe: ${badTf ?? ''}`);
+
+  let list = symbols?.length ? symbols : await watchlistSymbols(listId);
+  list = list.map(s => String(s).trim()).filter(Boolean);
+  const bad = list.find(s => !normalizeChartSymbol(s));
+  if (bad) throw invalidRequest(`Invalid symbol: ${bad}`);
+  list = [...new Set(list.map(normalizeChartSymbol))];
+  if (list.length > MAX_SYMBOLS) throw invalidRequest(`At most ${MAX_SYMBOLS} symbols per request`);
+
+  const jobs = list.flatMap(symbol => tfs.map(timeframe => ({ symbol, timeframe })));
+  const results = await Promise.allSettled(jobs.map(job => suggestChart(job.symbol, job.timeframe, { adjusted, options })));
+  const charts = [];
+  const errors = [];
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled') charts.push(r.value);
+    else errors.push({ ...jobs[i], error: r.reason?.message || String(r.reason) });
+  });
+
+  return {
+    generated_at: new Date().toISOString(),
+    adjusted,
+    timeframes: tfs,
+    params: options,
+    charts,
+    errors
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEFRAMES,
+  suggestLevels
+};
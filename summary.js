@@ -0,0 +1,67 @@
+// summary.js - Compact multi-symbol summaries for the mini-chart board
+// One response carries the last N bars plus last price and change for every symbol, so
+// the board costs the same however long each symbol's cached history is.
+const { getBarsCached } = require('./cache.js');
+const { toChartBars } = require('./signals.js');
+const { normalizeChartSymbol } = require('./ratios.js');
+
+const DEFAULT_BARS = 60;
+const MAX_BARS = 500;
+const MAX_SYMBOLS = 100;
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  return err;
+}
+
+const round = (x, digits) => (Number.isFinite(x) ? +x.toFixed(digits) : null);
+
+function summarize(symbol, bars) {
+  const last = bars[bars.length - 1];
+  const prev = bars[bars.length - 2];
+  const change = last && prev ? last.close - prev.close : null;
+  return {
+    symbol,
+    time: last ? last.time : null,
+    last: last ? last.close : null,
+    change: round(change, 4),
+    change_pct: change != null && prev.close ? round((change / prev.close) * 100, 2) : null,
+    bars
+  };
+}
+
+// Summaries for `symbols` in request order. Symbols that fail (unknown ticker, provider
+// down) are listed under `errors` instead of failing the whole batch.
+async function summarizeSymbols({ symbols, timeframe = '1D', bars = DEFAULT_BARS, adjusted = true } = {}) {
+  const tf = String(timeframe).toUpperCase();
+  if (!['1H', '4H', '1D', '1W', '1M'].includes(tf)) throw invalidRequest(`Invalid timeframe: ${timeframe}`);
+  const count = Number(bars);
+  if (!Number.isInteger(count) || count < 2 || count > MAX_BARS) {
+    throw invalidRequest(`bars must be a whole number between 2 and ${MAX_BARS}`);
+  }
+
+  const raw = (symbols || []).map(s => String(s).trim()).filter(Boolean);
+  if (!raw.length) throw invalidRequest('symbols is required');
+  const bad = raw.find(s => !normalizeChartSymbol(s));
+  if (bad) throw invalidRequest(`Invalid symbol: ${bad}`);
+  const list = [...new Set(raw.map(normalizeChartSymbol))];
+  if (list.length > MAX_SYMBOLS) throw invalidRequest(`At most ${MAX_SYMBOLS} symbols per request`);
+
+  const results = await Promise.allSettled(list.map(async symbol => {
+    const series = await getBarsCached(symbol, count, tf, { adjusted, priority: 'interactive' });
+    return summarize(symbol, toChartBars(series.data).slice(-count));
+  }));
+
+  const summaries = [];
+  const errors = [];
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled') summaries.push(r.value);
+    else errors.push({ symbol: list[i], error: r.reason?.message || String(r.reason) });
+  });
+  return { timeframe: tf, adjusted, count, summaries, errors };
+}
+
+module.exports = {
+  summarizeSymbols
+};
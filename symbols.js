@@ -0,0 +1,213 @@
+// symbols.js - Symbol metadata, validation and search
+// Looks symbols up with their provider (name, exchange, asset type, currency, first/last
+// available date) and keeps the answers in ./data/symbols.json, so a typo like GOOGLE is
+// turned away with a clear error instead of being fetched, and the autocomplete doesn't
+// spend API quota on symbols it has already seen. Unknown tickers are remembered too,
+// for a shorter time, in case they get listed.
+const path = require('path');
+const { DATA_DIR, readJson, writeJson, withLock } = require('./store.js');
+const { schedule, isQuotaError } = require('./scheduler.js');
+const { getProvider, providerForSymbol, providersInUse } = require('./providers/index.js');
+const { logger } = require('./logger.js');
+const { timeUpstream } = require('./metrics.js');
+const { parseRatioSymbol } = require('./ratios.js');
+
+const SYMBOLS_FILE = path.join(DATA_DIR, 'symbols.json');
+
+const KNOWN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const UNKNOWN_TTL_MS = 24 * 60 * 60 * 1000;
+const SEARCH_TTL_MS = 10 * 60 * 1000;
+const MAX_SEARCH_CACHE = 200;
+const DEFAULT_SEARCH_LIMIT = 8;
+const MAX_SEARCH_LIMIT = 20;
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  return err;
+}
+
+function unknownSymbol(symbol, providerName) {
+  const err = new Error(`Unknown symbol: ${symbol} (${providerName} has no data for it)`);
+  err.code = 'unknown_symbol';
+  return err;
+}
+
+function normalizeSymbol(symbol) {
+  const sym = String(symbol || '').trim().toUpperCase();
+  if (!/^[A-Z0-9.-]{1,10}$/.test(sym)) throw invalidRequest(`Invalid symbol: ${symbol}`);
+  return sym;
+}
+
+const loadStore = async () => readJson(SYMBOLS_FILE, { symbols: {}, unknown: {} });
+
+function updateStore(fn) {
+  return withLock(SYMBOLS_FILE, async () => {
+    const store = await loadStore();
+    fn(store);
+    await writeJson(SYMBOLS_FILE, store);
+  });
+}
+
+const fresh = (entry, providerName, ttl) =>
+  entry && entry.provider === providerName && Date.now() - Date.parse(entry.checked_at) < ttl;
+
+// Metered providers spend a quota token per lookup, like a bar fetch
+function callProvider(provider, kind, fn, label, priority) {
+  const call = () => timeUpstream(provider.name, kind, fn);
+  return provider.metered ? schedule(call, { ctx: { priority }, label }) : call();
+}
+
+// Concurrent lookups of the same symbol share one provider call
+const inflight = new Map();
+
+async function lookup(provider, sym, priority) {
+  const info = await callProvider(provider, 'metadata', () => provider.lookupSymbol(sym), `${sym} metadata`, priority);
+  const checked_at = new Date().toISOString();
+  await updateStore(store => {
+    if (info) {
+      const prev = store.symbols[sym];
+      store.symbols[sym] = {
+        ...info,
+        symbol: sym,
+        asset_type: info.asset_type ?? prev?.asset_type ?? null,
+        provider: provider.name,
+        checked_at
+      };
+      delete store.unknown[sym];
+    } else {
+      store.unknown[sym] = { provider: provider.name, checked_at };
+    }
+  });
+  if (!info) {
+    logger.info('unknown_symbol', `❔ ${sym} is not a ${provider.name} symbol`, { symbol: sym, provider: provider.name });
+    throw unknownSymbol(sym, provider.name);
+  }
+  return (await loadStore()).symbols[sym];
+}
+
+// A ratio (AAPL/SPY) exists when both legs do; its dates are the span they share
+async function ratioInfo(ratio, priority) {
+  const legs = await Promise.all([ratio.base, ratio.quote].map(leg => getSymbolInfo(leg, { priority })));
+  const [base, quote] = legs;
+  const later = (a, b) => (a && b ? (a > b ? a : b) : null);
+  const earlier = (a, b) => (a && b ? (a < b ? a : b) : null);
+  return {
+    symbol: ratio.symbol,
+    name: `${base.name || base.symbol} / ${quote.name || quote.symbol}`,
+    exchange: null,
+    asset_type: 'Ratio',
+    currency: null,
+    first_date: later(base.first_date, quote.first_date),
+    last_date: earlier(base.last_date, quote.last_date),
+    legs
+  };
+}
+
+// Metadata for one symbol; throws code 'unknown_symbol' when its provider doesn't list it.
+// Providers without lookups (third-party registrations) accept every well-formed symbol.
+async function getSymbolInfo(symbol, { priority = 'interactive' } = {}) {
+  const ratio = parseRatioSymbol(symbol);
+  if (ratio) return ratioInfo(ratio, priority);
+  const sym = normalizeSymbol(symbol);
+  const provider = providerForSymbol(sym);
+  if (!provider.lookupSymbol) return { symbol: sym, provider: provider.name };
+
+  const store = await loadStore();
+  if (fresh(store.symbols[sym], provider.name, KNOWN_TTL_MS)) return store.symbols[sym];
+  if (fresh(store.unknown[sym], provider.name, UNKNOWN_TTL_MS)) throw unknownSymbol(sym, provider.name);
+
+  if (!inflight.has(sym)) {
+    inflight.set(sym, lookup(provider, sym, priority).finally(() => inflight.delete(sym)));
+  }
+  return inflight.get(sym);
+}
+
+// Gate for fetching a symbol's bars for the first time. Only a definite "unknown" stops
+// it; if the lookup itself fails (network, quota) the bar fetch goes ahead as before.
+async function assertKnownSymbol(symbol, { priority = 'batch' } = {}) {
+  try {
+    await getSymbolInfo(symbol, { priority });
+  } catch (error) {
+    if (error.code === 'unknown_symbol' || error.code === 'invalid_request') throw error;
+    logger.warn('lookup_failed', `⚠️ Metadata lookup failed for ${symbol}, fetching anyway: ${isQuotaError(error) ? 'quota' : error.message}`,
+                { symbol: String(symbol).toUpperCase(), error: error.message });
+  }
+}
+
+const searchCache = new Map();
+
+async function providerMatches(provider, q, limit) {
+  const key = `${provider.name}:${q}`;
+  const hit = searchCache.get(key);
+  if (hit && Date.now() - hit.at < SEARCH_TTL_MS) return hit.results;
+
+  const results = await callProvider(provider, 'search', () => provider.searchSymbols(q, limit), `search ${q}`, 'interactive');
+  if (searchCache.size >= MAX_SEARCH_CACHE) searchCache.delete(searchCache.keys().next().value);
+  searchCache.set(key, { at: Date.now(), results });
+  return results;
+}
+
+// Autocomplete matches for a ticker prefix or company name: symbols already looked up
+// plus the providers' own search, best matches (exact ticker, then prefix) first
+async function searchSymbols(query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const q = String(query || '').trim();
+  if (!q || q.length > 40) throw invalidRequest('q must be 1-40 characters');
+  const max = Number(limit);
+  if (!Number.isInteger(max) || max < 1 || max > MAX_SEARCH_LIMIT) {
+    throw invalidRequest(`limit must be a whole number between 1 and ${MAX_SEARCH_LIMIT}`);
+  }
+  const upper = q.toUpperCase();
+  const isTicker = /^[A-Z0-9.-]{1,10}$/.test(upper);
+
+  const store = await loadStore();
+  const found = new Map();
+  for (const info of Object.values(store.symbols)) {
+    if (info.symbol.startsWith(upper) || info.name?.toUpperCase().includes(upper)) found.set(info.symbol, info);
+  }
+
+  for (const name of providersInUse()) {
+    const provider = getProvider(name);
+    if (!provider.searchSymbols) continue;
+    // The fixture provider answers any ticker but knows no names
+    if (provider.name === 'fixture' && !isTicker) continue;
+    try {
+      for (const match of await providerMatches(provider, q, max)) {
+        // Only list symbols this provider actually serves (PROVIDER_MAP may route them elsewhere)
+        if (providerForSymbol(match.symbol).name !== provider.name) continue;
+        const known = found.get(match.symbol) || store.symbols[match.symbol];
+        found.set(match.symbol, { ...match, ...known, asset_type: known?.asset_type ?? match.asset_type ?? null });
+      }
+    } catch (error) {
+      logger.warn('search_failed', `⚠️ ${provider.name} symbol search failed for "${q}": ${error.message}`, { provider: provider.name, q, error: error.message });
+    }
+  }
+
+  // Search hits carry the asset type Tiingo's metadata endpoint leaves out
+  const fill = [...found.values()].filter(r => r.asset_type && store.symbols[r.symbol] && !store.symbols[r.symbol].asset_type);
+  if (fill.length) {
+    await updateStore(s => fill.forEach(r => { if (s.symbols[r.symbol]) s.symbols[r.symbol].asset_type = r.asset_type; }));
+  }
+
+  const rank = r => (r.symbol === upper ? 0 : r.symbol.startsWith(upper) ? 1 : 2);
+  const results = [...found.values()]
+    .filter(r => !fresh(store.unknown[r.symbol], providerForSymbol(r.symbol).name, UNKNOWN_TTL_MS))
+    .sort((a, b) => rank(a) - rank(b) || a.symbol.localeCompare(b.symbol))
+    .slice(0, max)
+    .map(r => ({
+      symbol: r.symbol,
+      name: r.name ?? null,
+      exchange: r.exchange ?? null,
+      asset_type: r.asset_type ?? null,
+      currency: r.currency ?? null,
+      first_date: r.first_date ?? null,
+      last_date: r.last_date ?? null
+    }));
+  return { query: q, results };
+}
+
+module.exports = {
+  getSymbolInfo,
+  assertKnownSymbol,
+  searchSymbols
+};
@@ -0,0 +1,276 @@
+// workspace.js - Versioned workspace files for backups and sharing chart setups
+// One JSON document holds the watchlists, drawings, alerts and indicator settings of the
+// whole workspace or of chosen symbols:
+//
+//   { format: 'eod-workspace', version: 2, exported_at, symbols: null | ['AAPL', ...],
+//     watchlists: [{ id, name, sections: [{ name, symbols }] }],
+//     drawings: [{ symbol, timeframe, levels, trendlines }],
+//     indicators: [{ symbol, timeframe, list }],
+//     alerts: [{ symbol, timeframe, lineType, direction, ... }] }
+//
+// Indicator settings only live in the browser, so the client fills in `indicators` on
+// export and applies that section of an import itself. Older files are migrated forward
+// one version at a time (MIGRATIONS) and validated in full before anything is written.
+const drawings = require('./drawings.js');
+const alerts = require('./alerts.js');
+const { normalizeSpec, normalizeRule } = require('./shared/indicators.js');
+
+const WORKSPACE_FORMAT = 'eod-workspace';
+const WORKSPACE_VERSION = 2;
+const IMPORT_MODES = ['merge', 'replace'];
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  return err;
+}
+
+// Parse a localStorage value that may still be a JSON string (copied straight from devtools)
+function storedValue(value, fallback) {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+const MIGRATIONS = {
+  // v0: a raw dump of the browser's localStorage (`eod-levels-AAPL-1D`, `eod-watchlist`,
+  // `eod-alert-configs`, ...), the only way to back up a workspace before this format.
+  // Charts whose indicator set was never edited followed the global EMA200/BB toggles
+  // in `eod-indicators`, so those become explicit sets. Dumps taken after named watchlists
+  // arrived also carry `eod-watchlists`, which v1 -> v2 picks up.
+  0(dump) {
+    const sets = new Map();
+    const indicators = [];
+    for (const [key, value] of Object.entries(dump)) {
+      const m = /^eod-(levels|trendlines|indicators)-(.+)-([^-]+)$/.exec(key);
+      if (!m) continue;
+      const [, type, symbol, timeframe] = m;
+      const list = storedValue(value, []);
+      if (type === 'indicators') {
+        indicators.push({ symbol, timeframe, list });
+        continue;
+      }
+      const id = `${symbol}-${timeframe}`;
+      if (!sets.has(id)) sets.set(id, { symbol, timeframe, levels: [], trendlines: [] });
+      sets.get(id)[type] = list;
+    }
+
+    const toggles = storedValue(dump['eod-indicators'], { ema200: true, bb20: false });
+    for (const { symbol, timeframe } of sets.values()) {
+      if (indicators.some(i => i.symbol === symbol && i.timeframe === timeframe)) continue;
+      indicators.push({
+        symbol,
+        timeframe,
+        list: [
+          { id: 'ema200', type: 'ema', params: { period: 200 }, color: '#60a5fa', visible: !!toggles.ema200 },
+          { id: 'bb20', type: 'bb', params: { period: 20, mult: 2 }, color: '#f59e0b', visible: !!toggles.bb20 }
+        ]
+      });
+    }
+
+    return {
+      format: WORKSPACE_FORMAT,
+      version: 1,
+      exported_at: null,
+      symbols: null,
+      watchlist: storedValue(dump['eod-watchlist'], []),
+      watchlists: storedValue(dump['eod-watchlists'], undefined),
+      drawings: [...sets.values()],
+      indicators,
+      alerts: storedValue(dump['eod-alert-configs'], [])
+    };
+  },
+
+  // v1: a single flat `watchlist`, which becomes the Core list
+  1({ watchlist, watchlists, ...doc }) {
+    const symbols = Array.isArray(watchlist) ? watchlist : [];
+    return {
+      ...doc,
+      version: 2,
+      watchlists: watchlists || (symbols.length ? [{ id: 'core', name: 'Core', sections: [{ name: '', symbols }] }] : [])
+    };
+  }
+};
+
+// Keep only in-scope symbols, dropping sections and lists left empty
+function scopeWatchlists(lists, inScope) {
+  return lists
+    .map(list => ({
+      ...list,
+      sections: list.sections
+        .map(section => ({ ...section, symbols: section.symbols.filter(inScope) }))
+        .filter(section => section.symbols.length)
+    }))
+    .filter(list => list.sections.length);
+}
+
+// Bring any supported file up to WORKSPACE_VERSION. Returns { doc, from }.
+function migrateWorkspace(file) {
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    throw invalidRequest('Workspace file must be a JSON object');
+  }
+  let doc = file;
+  if (doc.format == null && Object.keys(doc).some(k => k.startsWith('eod-'))) {
+    doc = { ...doc, version: 0 };
+  } else if (doc.format !== WORKSPACE_FORMAT) {
+    throw invalidRequest('Not a workspace file');
+  }
+  const from = doc.version;
+  if (!Number.isInteger(from) || from < 0) throw invalidRequest(`Invalid workspace version: ${from}`);
+  if (from > WORKSPACE_VERSION) {
+    throw invalidRequest(`Workspace v${from} was exported by a newer version (this server reads up to v${WORKSPACE_VERSION})`);
+  }
+  while (doc.version < WORKSPACE_VERSION) doc = MIGRATIONS[doc.version](doc);
+  return { doc, from };
+}
+
+// An indicator setting as the browser stores it, rebuilt from checked fields only
+function normalizeIndicator(ind) {
+  if (ind?.id == null) throw new Error('Each indicator needs an id');
+  if (ind.color != null && !drawings.isColor(ind.color)) throw new Error(`Invalid indicator color: ${ind.color}`);
+  return {
+    id: String(ind.id),
+    ...normalizeSpec(ind),
+    ...(ind.color != null && { color: ind.color }),
+    visible: ind.visible !== false,
+    ...(ind.rule != null && { rule: normalizeRule(ind.rule) }) // absent means cross, as in the browser
+  };
+}
+
+// Check every section and normalize symbols/timeframes/settings; errors name the offending entry
+function validateWorkspace(doc) {
+  const list = (value, name) => {
+    if (value == null) return [];
+    if (!Array.isArray(value)) throw invalidRequest(`${name} must be an array`);
+    return value;
+  };
+  const check = (name, i, fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      throw invalidRequest(`${name}[${i}]: ${error.message}`);
+    }
+  };
+  const symbolTf = e => ({
+    symbol: drawings.normalizeSymbol(e?.symbol),
+    timeframe: drawings.normalizeTimeframe(e?.timeframe)
+  });
+
+  const watchlists = () => {
+    try {
+      return drawings.normalizeWatchlists(doc.watchlists);
+    } catch (error) {
+      throw invalidRequest(`watchlists: ${error.message}`);
+    }
+  };
+
+  const symbols = doc.symbols == null ? null : list(doc.symbols, 'symbols').map((s, i) => check('symbols', i, () => drawings.normalizeSymbol(s)));
+  return {
+    format: WORKSPACE_FORMAT,
+    version: WORKSPACE_VERSION,
+    exported_at: doc.exported_at || null,
+    symbols,
+    watchlists: doc.watchlists?.length ? watchlists() : [],
+    drawings: list(doc.drawings, 'drawings').map((e, i) => check('drawings', i, () => ({
+      ...symbolTf(e),
+      levels: drawings.sanitizeItems(e.levels || [], 'levels'),
+      trendlines: drawings.sanitizeItems(e.trendlines || [], 'trendlines')
+    }))),
+    indicators: list(doc.indicators, 'indicators').map((e, i) => check('indicators', i, () => {
+      if (!Array.isArray(e.list)) throw new Error('list must be an array');
+      return { ...symbolTf(e), list: e.list.map(normalizeIndicator) };
+    })),
+    alerts: list(doc.alerts, 'alerts').map((a, i) => check('alerts', i, () => {
+      alerts.validateAlertConfig(a);
+      return alerts.alertConfig({ ...a, symbol: drawings.normalizeSymbol(a.symbol), timeframe: (a.timeframe || '1D').toUpperCase() });
+    }))
+  };
+}
+
+// Export the server-side part of the workspace (everything but indicator settings).
+// `symbols` limits it to those symbols; the watchlists are then limited to them too.
+async function exportWorkspace({ symbols = null } = {}) {
+  const scope = symbols?.length ? [...new Set(symbols.map(drawings.normalizeSymbol))] : null;
+  const inScope = sym => !scope || scope.includes(sym);
+
+  const sets = [];
+  for (const entry of await drawings.listDrawings()) {
+    if (!inScope(entry.symbol) || !(entry.levels + entry.trendlines)) continue;
+    const { symbol, timeframe, levels, trendlines } = await drawings.getDrawings(entry.symbol, entry.timeframe);
+    sets.push({ symbol, timeframe, levels, trendlines });
+  }
+  const { lists } = await drawings.getWatchlist();
+
+  return {
+    format: WORKSPACE_FORMAT,
+    version: WORKSPACE_VERSION,
+    exported_at: new Date().toISOString(),
+    symbols: scope,
+    watchlists: scope ? scopeWatchlists(lists, inScope) : lists,
+    drawings: sets,
+    indicators: [],
+    alerts: (await alerts.listAlerts()).filter(a => inScope(a.symbol)).map(alerts.alertConfig)
+  };
+}
+
+// Import a workspace file. merge adds what the server is missing and keeps what it has;
+// replace makes the file's symbols (the whole workspace for a full export) match the file,
+// clearing their drawings and alerts that the file doesn't have. `symbols` picks a subset
+// of the file to import. Returns the written documents and the migrated file, whose
+// `indicators` section the client applies.
+async function importWorkspace(file, { mode = 'merge', symbols = null } = {}) {
+  if (!IMPORT_MODES.includes(mode)) throw invalidRequest(`Invalid mode: ${mode}`);
+  const { doc, from } = migrateWorkspace(file);
+  const workspace = validateWorkspace(doc);
+
+  let pick = null;
+  try {
+    if (symbols?.length) pick = [...new Set(symbols.map(drawings.normalizeSymbol))];
+  } catch (error) {
+    throw invalidRequest(error.message);
+  }
+  const scope = pick
+    ? (workspace.symbols ? pick.filter(s => workspace.symbols.includes(s)) : pick)
+    : workspace.symbols;
+  const inScope = sym => !scope || scope.includes(sym);
+  const replace = mode === 'replace';
+  const data = {
+    ...workspace,
+    symbols: scope,
+    watchlists: scope ? scopeWatchlists(workspace.watchlists, inScope) : workspace.watchlists,
+    drawings: workspace.drawings.filter(d => inScope(d.symbol)),
+    indicators: workspace.indicators.filter(i => inScope(i.symbol)),
+    alerts: workspace.alerts.filter(a => inScope(a.symbol))
+  };
+
+  // Replacing also empties the in-scope drawing sets the file doesn't mention
+  const sets = [...data.drawings];
+  if (replace) {
+    for (const entry of await drawings.listDrawings()) {
+      const listed = sets.some(d => d.symbol === entry.symbol && d.timeframe === entry.timeframe);
+      if (!listed && inScope(entry.symbol)) sets.push({ symbol: entry.symbol, timeframe: entry.timeframe, levels: [], trendlines: [] });
+    }
+  }
+  const docs = [];
+  for (const entry of sets) docs.push(await drawings.importDrawingSet(entry, { replace }));
+
+  // Only a full workspace replaces the watchlists; a symbol subset is added to them
+  const watchlist = data.watchlists.length
+    ? await drawings.importWatchlist(data.watchlists, { replace: replace && !scope })
+    : await drawings.getWatchlist();
+
+  if (data.alerts.length || replace) await alerts.importAlerts(data.alerts, { replace, symbols: scope });
+
+  console.log(`📦 Imported workspace v${from} (${mode}${scope ? `: ${scope.join(',')}` : ''}): ` +
+              `${data.drawings.length} drawing sets, ${data.alerts.length} alerts, ${data.indicators.length} indicator sets`);
+  return { mode, migrated_from: from, workspace: data, drawings: docs, watchlist };
+}
+
+module.exports = {
+  WORKSPACE_VERSION,
+  exportWorkspace,
+  importWorkspace
+};